@@ -1,8 +1,8 @@
 // server.js (Fully Merged, Updated & Performance Tuned)
-// - Automated Roster Generation now reads from TWO Google Sheets simultaneously:
+// - Route database synced on demand from TWO Google Sheets:
 //   1. The primary routes sheet (for regular flights).
 //   2. The codeshare routes sheet (for partner flights).
-// - NO separate import step needed. Roster generation pulls all data in real-time.
+// - Each sync reports added, changed, removed and rejected routes. Roster generation reads the stored routes.
 // - Strict Flight & Duty Time Limitations (FTPL) engine.
 // - Location-aware roster availability for pilots.
 // - Robust Google Sheets function with dynamic column mapping.
@@ -13,6 +13,9 @@
 // - NEW: Roster multipliers for bonus flight hours on final legs.
 // - NEW: Image verification required for all PIREP submissions.
 // - NEW: Map feature support via airports data endpoint.
+// - NEW: Public pilot applications with a recruitment review queue.
+// - NEW: Pluggable upload storage (AWS S3 or the local filesystem).
+// - NEW: Uploaded pictures are resized into avatar, card and full WebP versions.
 
 // 1. IMPORT DEPENDENCIES
 const cors = require('cors');
@@ -22,27 +25,22 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const multer = require('multer');
 const path = require('path');
-const { S3Client, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { S3Client, DeleteObjectCommand, PutObjectCommand } = require('@aws-sdk/client-s3');
 const multerS3 = require('multer-s3');
 const { google } = require('googleapis');
 const Papa = require('papaparse'); // For parsing CSV data from Google Sheets
 const axios = require('axios'); // For fetching the sheet
 const fs = require('fs').promises; // For reading local JSON files
+const { createWriteStream } = require('fs'); // For the local upload storage driver
+const crypto = require('crypto'); // For one-time password reset tokens
+const { PassThrough, Transform, pipeline } = require('stream'); // For inspecting uploads as they stream to storage
+const sharp = require('sharp'); // For resizing uploaded pictures
 require('dotenv').config();
 
-// 2. INITIALIZE EXPRESS APP & AWS S3 CLIENT
+// 2. INITIALIZE EXPRESS APP
 const app = express();
 const PORT = process.env.PORT || 5000;
 
-// Configure the AWS S3 client
-const s3Client = new S3Client({
-    region: process.env.AWS_REGION,
-    credentials: {
-        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-    }
-});
-
 // 3. MIDDLEWARE
 const corsOptions = {
     origin: 'https://indgo-va.netlify.app',
@@ -52,43 +50,366 @@ const corsOptions = {
 app.use(cors(corsOptions));
 app.use(express.json());
 
-// Multer configuration for AWS S3 uploads
+// --- Upload Validation ---
+// Rules for every multer field. The file type is decided from the file's magic bytes, never from
+// the client-supplied name or MIME type, and image dimensions are read from the header before upload.
+const MB = 1024 * 1024;
+const uploadRules = {
+    profilePicture:    { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: 5 * MB,  minWidth: 64,  minHeight: 64,  maxWidth: 4096, maxHeight: 4096, maxCount: 1, sizes: 'profile' },
+    eventImage:        { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: 10 * MB, minWidth: 400, minHeight: 200, maxWidth: 8000, maxHeight: 8000, maxCount: 1, sizes: 'banner' },
+    highlightImage:    { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: 10 * MB, minWidth: 400, minHeight: 200, maxWidth: 8000, maxHeight: 8000, maxCount: 1, sizes: 'banner' },
+    verificationImage: { mimeTypes: ['image/jpeg', 'image/png', 'image/webp'], maxBytes: 10 * MB, minWidth: 320, minHeight: 240, maxWidth: 8000, maxHeight: 8000, maxCount: 5 }
+};
+const UPLOAD_HEADER_BYTES = 256 * 1024; // How much of a file we buffer while looking for its type and dimensions
+
+// Errors raised while validating an upload carry uploadRejected so they are answered with a 400, not a 500
+const uploadRejection = (message) => Object.assign(new Error(message), { uploadRejected: true });
+
+// Identifies JPEG, PNG, GIF and WebP from their magic bytes and reads the dimensions from the header.
+// Returns { mime, width, height } (dimensions null if not yet found in the buffer) or null for anything else.
+const sniffImage = (buf) => {
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504E47 && buf.readUInt32BE(4) === 0x0D0A1A0A) {
+        return { mime: 'image/png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+    if (buf.length >= 10 && ['GIF87a', 'GIF89a'].includes(buf.toString('ascii', 0, 6))) {
+        return { mime: 'image/gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+    if (buf.length >= 16 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buf.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ' && buf.length >= 30) return { mime: 'image/webp', width: buf.readUInt16LE(26) & 0x3FFF, height: buf.readUInt16LE(28) & 0x3FFF };
+        if (chunk === 'VP8L' && buf.length >= 25) {
+            const bits = buf.readUInt32LE(21);
+            return { mime: 'image/webp', width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+        }
+        if (chunk === 'VP8X' && buf.length >= 30) return { mime: 'image/webp', width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+        return { mime: 'image/webp', width: null, height: null };
+    }
+    if (buf.length >= 3 && buf[0] === 0xFF && buf[1] === 0xD8 && buf[2] === 0xFF) {
+        // Walk the JPEG segments until a start-of-frame marker, which holds the dimensions
+        let offset = 2;
+        while (offset + 9 <= buf.length) {
+            if (buf[offset] !== 0xFF) break;
+            const marker = buf[offset + 1];
+            if (marker === 0xFF) { offset++; continue; }
+            const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+            if (isStartOfFrame) return { mime: 'image/jpeg', width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+            offset += 2 + buf.readUInt16BE(offset + 2);
+        }
+        return { mime: 'image/jpeg', width: null, height: null };
+    }
+    return null;
+};
+
+// Checks a sniffed file against its field's rules; returns an error message or null
+const checkUploadRules = (rule, image) => {
+    if (!image || !rule.mimeTypes.includes(image.mime)) {
+        return `Unsupported file type. Allowed types: ${rule.mimeTypes.map(m => m.split('/')[1].toUpperCase()).join(', ')}.`;
+    }
+    if (!image.width || !image.height) return 'Could not read the image dimensions; the file may be corrupt.';
+    if (image.width < rule.minWidth || image.height < rule.minHeight) {
+        return `The image is too small (${image.width}x${image.height}). Minimum size is ${rule.minWidth}x${rule.minHeight} pixels.`;
+    }
+    if (image.width > rule.maxWidth || image.height > rule.maxHeight) {
+        return `The image is too large (${image.width}x${image.height}). Maximum size is ${rule.maxWidth}x${rule.maxHeight} pixels.`;
+    }
+    return null;
+};
+
+// multer-s3 contentType hook: buffers the start of the stream, validates it, and hands back a stream
+// that replays the header and enforces the field's byte limit. Rejected files never reach storage.
+const validateUploadStream = (req, file, cb) => {
+    const rule = uploadRules[file.fieldname];
+    if (!rule) return cb(uploadRejection(`Unexpected upload field "${file.fieldname}".`));
+
+    const chunks = [];
+    let buffered = 0;
+    let settled = false;
+    const finish = (ended) => {
+        if (settled) return;
+        settled = true;
+        file.stream.removeListener('data', onData);
+        file.stream.removeListener('end', onEnd);
+        file.stream.pause();
+
+        const header = Buffer.concat(chunks);
+        const image = sniffImage(header);
+        const problem = checkUploadRules(rule, image);
+        if (problem) {
+            file.stream.resume(); // Drain the rest so busboy can move on to the next part
+            return cb(uploadRejection(problem));
+        }
+
+        let total = 0;
+        const limiter = new Transform({
+            transform(chunk, encoding, done) {
+                total += chunk.length;
+                if (total > rule.maxBytes) return done(uploadRejection(`The file is too large. Maximum size is ${rule.maxBytes / MB} MB.`));
+                done(null, chunk);
+            }
+        });
+        const replay = new PassThrough();
+        replay.pipe(limiter);
+        replay.write(header);
+        if (ended) replay.end();
+        else {
+            file.stream.pipe(replay);
+            file.stream.resume();
+        }
+        cb(null, image.mime, limiter);
+    };
+    const onData = (chunk) => {
+        chunks.push(chunk);
+        buffered += chunk.length;
+        const image = sniffImage(Buffer.concat(chunks));
+        // Wait for enough bytes to recognise the type, then for the dimensions, up to UPLOAD_HEADER_BYTES
+        if (buffered >= UPLOAD_HEADER_BYTES || image?.width || (!image && buffered >= 32)) finish(false);
+    };
+    const onEnd = () => finish(true);
+    file.stream.on('data', onData);
+    file.stream.once('end', onEnd);
+};
+
+// --- Pluggable Storage ---
+// STORAGE_DRIVER selects where uploaded files are kept:
+//   's3'    (default) the AWS S3 bucket configured through the AWS_* variables.
+//   'local' a directory on disk (UPLOADS_DIR, default ./uploads) served by this server under /uploads,
+//           so the whole server can run offline. STORAGE_PUBLIC_URL overrides the host used in file URLs.
+// Each driver provides a multer storage engine, save(key, body, contentType, req), which stores a
+// generated file and returns its URL, and remove(url), which deletes a stored file by its URL.
+
+const uploadKey = (file, extension) => {
+    let folder = 'misc/';
+    if (file.fieldname === 'profilePicture') {
+        folder = 'profiles/';
+    } else if (['eventImage', 'highlightImage'].includes(file.fieldname)) {
+        folder = 'community/';
+    } else if (file.fieldname === 'verificationImage') {
+        folder = 'pirep-verification/';
+    }
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    return `${folder}${file.fieldname}-${uniqueSuffix}${extension}`;
+};
+
+// Local files are served by extension, so it comes from the sniffed type rather than the client's file name
+const mimeExtensions = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif' };
+
+const storageDrivers = {
+    s3: () => {
+        const s3Client = new S3Client({
+            region: process.env.AWS_REGION,
+            credentials: {
+                accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+                secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+            }
+        });
+        const engine = multerS3({
+            s3: s3Client,
+            bucket: process.env.AWS_S3_BUCKET_NAME,
+            contentType: validateUploadStream,
+            metadata: function (req, file, cb) {
+                cb(null, { fieldName: file.fieldname });
+            },
+            key: function (req, file, cb) {
+                cb(null, uploadKey(file, path.extname(file.originalname)));
+            }
+        });
+        const save = async (key, body, contentType) => {
+            await s3Client.send(new PutObjectCommand({ Bucket: process.env.AWS_S3_BUCKET_NAME, Key: key, Body: body, ContentType: contentType }));
+            return `https://${process.env.AWS_S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${key}`;
+        };
+        const remove = async (fileUrl) => {
+            const key = new URL(fileUrl).pathname.substring(1);
+            await s3Client.send(new DeleteObjectCommand({ Bucket: process.env.AWS_S3_BUCKET_NAME, Key: key }));
+            return key;
+        };
+        return { engine, save, remove };
+    },
+    local: () => {
+        const root = path.resolve(process.env.UPLOADS_DIR || path.join(__dirname, 'uploads'));
+        const publicBase = (req) => (process.env.STORAGE_PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+        // Maps a key back to a path on disk, refusing anything that would escape the uploads directory
+        const resolveKey = (key) => {
+            const fullPath = path.resolve(root, key);
+            return fullPath.startsWith(root + path.sep) ? fullPath : null;
+        };
+
+        const engine = {
+            _handleFile(req, file, cb) {
+                validateUploadStream(req, file, (err, mime, stream) => {
+                    if (err) return cb(err);
+                    const key = uploadKey(file, mimeExtensions[mime] || '');
+                    const target = resolveKey(key);
+                    fs.mkdir(path.dirname(target), { recursive: true }).then(() => {
+                        const out = createWriteStream(target);
+                        pipeline(stream, out, (writeErr) => {
+                            if (writeErr) return fs.unlink(target).catch(() => {}).then(() => cb(writeErr));
+                            cb(null, { key, size: out.bytesWritten, contentType: mime, location: `${publicBase(req)}/uploads/${key}` });
+                        });
+                    }, cb);
+                });
+            },
+            _removeFile(req, file, cb) {
+                fs.unlink(resolveKey(file.key)).then(() => cb(null), cb);
+            }
+        };
+        const save = async (key, body, contentType, req) => {
+            const target = resolveKey(key);
+            await fs.mkdir(path.dirname(target), { recursive: true });
+            await fs.writeFile(target, body);
+            return `${publicBase(req)}/uploads/${key}`;
+        };
+        const remove = async (fileUrl) => {
+            const { pathname } = new URL(fileUrl);
+            const fullPath = pathname.startsWith('/uploads/') ? resolveKey(decodeURIComponent(pathname.slice('/uploads/'.length))) : null;
+            if (!fullPath) throw new Error('URL does not point into the local uploads directory.');
+            await fs.unlink(fullPath);
+            return path.relative(root, fullPath);
+        };
+        return { engine, save, remove, root };
+    }
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 's3';
+if (!storageDrivers[STORAGE_DRIVER]) throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}". Use one of: ${Object.keys(storageDrivers).join(', ')}.`);
+const storage = storageDrivers[STORAGE_DRIVER]();
+
+// The local driver's files are public, like objects in the S3 bucket; nosniff stops browsers second-guessing their type
+if (storage.root) {
+    app.use('/uploads', express.static(storage.root, { setHeaders: (res) => res.setHeader('X-Content-Type-Options', 'nosniff') }));
+}
+
+// --- Image Processing ---
+// Fields with a `sizes` rule are not stored as uploaded: each is resized into the sizes below and saved
+// as WebP. sharp drops EXIF and other metadata on output; rotate() first applies the EXIF orientation.
+// Verification images are kept untouched because staff review them at full resolution.
+const imageSizeNames = ['avatar', 'card', 'full'];
+const imageSizePresets = {
+    profile: {
+        avatar: { width: 128, height: 128, fit: 'cover' },
+        card: { width: 400, height: 400, fit: 'cover' },
+        full: { width: 1024, height: 1024, fit: 'inside' }
+    },
+    banner: {
+        avatar: { width: 160, height: 160, fit: 'cover' },
+        card: { width: 640, height: 360, fit: 'cover' },
+        full: { width: 1920, height: 1920, fit: 'inside' }
+    }
+};
+
+const processImageUpload = (req, file, cb) => {
+    validateUploadStream(req, file, (err, mime, stream) => {
+        if (err) return cb(err);
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.once('error', cb);
+        stream.once('end', async () => {
+            const preset = imageSizePresets[uploadRules[file.fieldname].sizes];
+            const baseKey = uploadKey(file, '');
+            const input = Buffer.concat(chunks);
+            let outputs;
+            try {
+                outputs = await Promise.all(imageSizeNames.map(name => sharp(input)
+                    .rotate()
+                    .resize({ ...preset[name], withoutEnlargement: true })
+                    .webp({ quality: 80 })
+                    .toBuffer()));
+            } catch (error) {
+                return cb(uploadRejection('The image could not be processed; the file may be corrupt.'));
+            }
+
+            const saved = {};
+            try {
+                for (const [index, name] of imageSizeNames.entries()) {
+                    saved[name] = await storage.save(`${baseKey}-${name}.webp`, outputs[index], 'image/webp', req);
+                }
+            } catch (error) {
+                await Promise.all(Object.values(saved).map(url => deleteStoredFile(url)));
+                return cb(error);
+            }
+            const size = outputs.reduce((total, output) => total + output.length, 0);
+            cb(null, { key: `${baseKey}-full.webp`, size, contentType: 'image/webp', location: saved.full, imageUrls: saved });
+        });
+    });
+};
+
+// Every URL stored for one uploaded file: all of its sizes, or just the file itself
+const storedFileUrls = (file) => (file.imageUrls ? Object.values(file.imageUrls) : [file.location]);
+
+// Multer configuration for uploads: pictures are processed, everything else goes straight to the configured driver
 const upload = multer({
-    storage: multerS3({
-        s3: s3Client,
-        bucket: process.env.AWS_S3_BUCKET_NAME,
-        contentType: multerS3.AUTO_CONTENT_TYPE,
-        metadata: function (req, file, cb) {
-            cb(null, { fieldName: file.fieldname });
+    limits: { fileSize: Math.max(...Object.values(uploadRules).map(rule => rule.maxBytes)) },
+    storage: {
+        _handleFile(req, file, cb) {
+            if (uploadRules[file.fieldname]?.sizes) return processImageUpload(req, file, cb);
+            storage.engine._handleFile(req, file, cb);
         },
-        key: function (req, file, cb) {
-            let folder = 'misc/';
-            if (file.fieldname === 'profilePicture') {
-                folder = 'profiles/';
-            } else if (['eventImage', 'highlightImage'].includes(file.fieldname)) {
-                folder = 'community/';
-            } else if (file.fieldname === 'verificationImage') {
-                folder = 'pirep-verification/';
-            }
-            const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-            const fileName = `${file.fieldname}-${uniqueSuffix}${path.extname(file.originalname)}`;
-            cb(null, `${folder}${fileName}`);
+        _removeFile(req, file, cb) {
+            if (!file.imageUrls) return storage.engine._removeFile(req, file, cb);
+            Promise.all(storedFileUrls(file).map(url => storage.remove(url))).then(() => cb(null), cb);
         }
-    })
+    }
 });
 
+// All files stored for this request, whether it used a single or a multi-file field
+const uploadedFiles = (req) => (req.files || (req.file ? [req.file] : []));
+
+const multerErrorMessages = {
+    LIMIT_FILE_SIZE: 'The file is too large.',
+    LIMIT_FILE_COUNT: 'Too many files were uploaded.',
+    LIMIT_UNEXPECTED_FILE: 'Too many files, or a file was sent in an unexpected field.'
+};
+
+// Route-level upload middleware. Validation failures become clean 400 responses, and if the route
+// itself later answers with an error, every file it received is removed from storage again.
+const acceptUpload = (fieldName) => {
+    const rule = uploadRules[fieldName];
+    const handler = rule.maxCount > 1 ? upload.array(fieldName, rule.maxCount) : upload.single(fieldName);
+    return (req, res, next) => handler(req, res, (err) => {
+        if (err) {
+            if (err.uploadRejected) return res.status(400).json({ message: err.message });
+            if (err instanceof multer.MulterError) {
+                const message = multerErrorMessages[err.code] || err.message;
+                return res.status(400).json({ message: err.code === 'LIMIT_FILE_SIZE' ? `${message} Maximum size is ${rule.maxBytes / MB} MB.` : message });
+            }
+            console.error('Upload failed:', err);
+            return res.status(500).json({ message: 'Server error while uploading file.' });
+        }
+        res.on('finish', () => {
+            if (res.statusCode >= 400) uploadedFiles(req).flatMap(storedFileUrls).forEach(url => deleteStoredFile(url));
+        });
+        next();
+    });
+};
+
 // 4. CONNECT TO MONGODB DATABASE
 mongoose.connect(process.env.MONGO_URI)
-    .then(() => console.log('MongoDB connected successfully.'))
+    .then(() => {
+        console.log('MongoDB connected successfully.');
+        return Promise.all([seedRolePermissions(), seedAchievements()]);
+    })
     .catch(err => console.error('MongoDB connection error:', err));
 
 // 5. DEFINE SCHEMAS AND MODELS
 
 // --- Constants for FTPL ---
-const MIN_REST_PERIOD = 8 * 60 * 60 * 1000; // 8 hours in ms
-const MAX_DUTY_PERIOD = 14 * 60 * 60 * 1000; // 14 hours in ms
-const MAX_DAILY_FLIGHT_HOURS = 10;
-const MAX_MONTHLY_FLIGHT_HOURS = 100;
+// Every limit can be overridden through the environment; the defaults apply when a variable is unset or invalid.
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+const HOUR_MS = 60 * 60 * 1000;
+const MIN_REST_PERIOD = envNumber('FTPL_MIN_REST_HOURS', 8) * HOUR_MS;
+const MAX_DUTY_PERIOD = envNumber('FTPL_MAX_DUTY_HOURS', 14) * HOUR_MS;
+
+// Rolling flight-time windows, evaluated against the pilot's filed (pending and approved) PIREPs
+const FTPL_WINDOWS = [
+    { key: '24h', label: '24-hour', windowMs: 24 * HOUR_MS, maxHours: envNumber('FTPL_MAX_HOURS_24H', 10) },
+    { key: '7d', label: '7-day', windowMs: 7 * 24 * HOUR_MS, maxHours: envNumber('FTPL_MAX_HOURS_7D', 40) },
+    { key: '28d', label: '28-day', windowMs: 28 * 24 * HOUR_MS, maxHours: envNumber('FTPL_MAX_HOURS_28D', 100) },
+    { key: '365d', label: '365-day', windowMs: 365 * 24 * HOUR_MS, maxHours: envNumber('FTPL_MAX_HOURS_365D', 1000) }
+];
+const MAX_DAILY_FLIGHT_HOURS = FTPL_WINDOWS[0].maxHours;
+const ROSTER_RESERVATION_WINDOW = 30 * 60 * 1000; // 30 minutes in ms to go on duty after reserving
 
 // --- MODIFIED: NEW RANK STRUCTURE ---
 const pilotRanks = [
@@ -141,6 +462,31 @@ const rankPerks = {
     'Blue Legacy Commander': ['Lifetime elite badge', 'Council-level privileges', 'Ultimate recognition']
 };
 
+// URLs of the processed sizes of an uploaded picture; imageUrl alongside it holds the full size
+const ImageSizesSchema = new mongoose.Schema({
+    avatar: String,
+    card: String,
+    full: String
+}, { _id: false });
+
+// Sections of the public pilot profile (GET /api/pilots/:callsign) a pilot can hide. Name, callsign and rank
+// are always public; hiding stats also anonymises the pilot's row on the public leaderboard.
+const profilePrivacyFields = ['bio', 'image', 'contact', 'stats', 'recentFlights', 'airportsVisited', 'rankProgress', 'badges'];
+
+// User fields behind the sections that other public listings (such as /api/staff) show directly
+const privacySectionUserFields = {
+    bio: ['bio'],
+    image: ['imageUrl', 'imageUrls'],
+    contact: ['discord', 'ifc', 'youtube', 'preferredContact']
+};
+const withoutPrivateFields = (user) => {
+    const visible = { ...user };
+    for (const section of user.privateFields || []) {
+        for (const field of privacySectionUserFields[section] || []) delete visible[field];
+    }
+    return visible;
+};
+
 // --- User Schema (Enhanced for FTPL) ---
 const UserSchema = new mongoose.Schema({
     name: { type: String, default: 'New Staff Member' },
@@ -161,20 +507,29 @@ const UserSchema = new mongoose.Schema({
     flightHours: { type: Number, default: 0 },
     bio: { type: String, default: '' },
     imageUrl: { type: String, default: '' },
+    imageUrls: { type: ImageSizesSchema, default: null },
     discord: { type: String, default: '' },
     ifc: { type: String, default: '' },
     youtube: { type: String, default: '' },
     preferredContact: { type: String, enum: ['none', 'discord', 'ifc', 'youtube'], default: 'none' },
+    privateFields: [{ type: String, enum: profilePrivacyFields }], // Profile sections the pilot has hidden
+    badges: [{
+        _id: false,
+        achievement: { type: mongoose.Schema.Types.ObjectId, ref: 'Achievement', required: true },
+        awardedAt: { type: Date, default: Date.now },
+        awardedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null when earned automatically
+        pirep: { type: mongoose.Schema.Types.ObjectId, ref: 'Pirep', default: null }, // The approval that earned it
+        note: { type: String, default: null }
+    }],
     createdAt: { type: Date, default: Date.now },
     dutyStatus: { type: String, enum: ['ON_REST', 'ON_DUTY'], default: 'ON_REST' },
     currentRoster: { type: mongoose.Schema.Types.ObjectId, ref: 'Roster', default: null },
     lastDutyStart: { type: Date, default: null }, 
     lastDutyOff: { type: Date, default: null },   
-    dailyFlightHours: { type: Number, default: 0 }, 
-    monthlyFlightHours: { type: Number, default: 0 },
-    lastHourReset: { type: Date, default: Date.now }, 
     lastKnownAirport: { type: String, uppercase: true, trim: true, default: 'VIDP' }, 
-    lastDutyAirport: { type: String, uppercase: true, trim: true, default: null } 
+    lastDutyAirport: { type: String, uppercase: true, trim: true, default: null },
+    passwordResetTokenHash: { type: String, default: null }, // SHA-256 of the emailed token, never the token itself
+    passwordResetExpires: { type: Date, default: null }
 }, { toJSON: { virtuals: true }, toObject: { virtuals: true } }); 
 UserSchema.index({ callsign: 1 }, { unique: true, sparse: true });
 
@@ -186,25 +541,37 @@ UserSchema.pre('findOneAndDelete', { document: true, query: true }, async functi
 
         console.log(`Performing cascade delete for user: ${user.email}`);
 
-        // 1. Delete user's S3 profile picture (no need to await)
-        if (user.imageUrl) {
-            deleteS3Object(user.imageUrl);
-        }
+        // 1. Delete every size of the user's profile picture (no need to await)
+        deleteStoredImage(user);
 
         // 2. Delete all PIREPs filed by the user
         await mongoose.model('Pirep').deleteMany({ pilot: user._id });
 
-        // 3. Find and delete user-created events and their S3 images
-        const events = await mongoose.model('Event').find({ author: user._id }).lean();
-        for (const event of events) {
-            if (event.imageUrl) deleteS3Object(event.imageUrl);
+        // 2b. Remove all login sessions so outstanding refresh tokens stop working
+        await mongoose.model('Session').deleteMany({ user: user._id });
+
+        // 2c. Remove the user's duty history and hour ledger, and free any exclusive roster they were flying
+        await mongoose.model('DutyLog').deleteMany({ pilot: user._id });
+        await mongoose.model('HourTransaction').deleteMany({ pilot: user._id });
+        await mongoose.model('Roster').updateMany({ inUseBy: user._id }, { inUseBy: null });
+
+        // 2d. Withdraw the user's event RSVPs and hand any slots they held to the waitlist
+        const heldSlots = await mongoose.model('EventRsvp').distinct('event', { pilot: user._id, status: 'CONFIRMED' });
+        await mongoose.model('EventRsvp').deleteMany({ pilot: user._id });
+        for (const eventId of heldSlots) {
+            await promoteEventWaitlist(eventId);
         }
+
+        // 3. Find and delete user-created events and their images
+        const events = await mongoose.model('Event').find({ author: user._id }).lean();
+        await mongoose.model('EventRsvp').deleteMany({ event: { $in: events.map(e => e._id) } });
         await mongoose.model('Event').deleteMany({ author: user._id });
+        await releaseEventImages(events);
         
         // 4. Do the same for highlights
         const highlights = await mongoose.model('Highlight').find({ author: user._id }).lean();
         for (const highlight of highlights) {
-            if (highlight.imageUrl) deleteS3Object(highlight.imageUrl);
+            deleteStoredImage(highlight);
         }
         await mongoose.model('Highlight').deleteMany({ author: user._id });
 
@@ -225,35 +592,204 @@ UserSchema.index({ lastKnownAirport: 1, lastDutyAirport: 1 }); // Speeds up pers
 // --- Admin Log Schema ---
 const AdminLogSchema = new mongoose.Schema({
     adminUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-    action: { type: String, required: true, enum: ['ROLE_UPDATE', 'USER_DELETE', 'ROSTER_CREATE', 'ROSTER_DELETE'] },
+    action: {
+        type: String,
+        required: true,
+        enum: [
+            'ROLE_UPDATE', 'USER_DELETE', 'ROSTER_CREATE', 'ROSTER_DELETE', 'APPLICATION_ACCEPT', 'APPLICATION_REJECT',
+            'PASSWORD_RESET_FORCE', 'SESSIONS_REVOKE', 'PERMISSION_UPDATE', 'PIREP_REVOKE', 'HOURS_ADJUST',
+            'LOGBOOK_IMPORT', 'ACHIEVEMENT_UPDATE', 'BADGE_AWARD', 'BADGE_REMOVE'
+        ]
+    },
     targetUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     details: { type: String, required: true },
     timestamp: { type: Date, default: Date.now }
 });
 const AdminLog = mongoose.model('AdminLog', AdminLogSchema);
 
+// --- Pilot Application Schema (public self-registration) ---
+const PilotApplicationSchema = new mongoose.Schema({
+    email: { type: String, required: true, trim: true, lowercase: true },
+    password: { type: String, required: true }, // Hashed at submission, copied to the User on acceptance
+    name: { type: String, required: true, trim: true },
+    ifc: { type: String, required: true, trim: true },
+    discord: { type: String, default: '', trim: true },
+    desiredCallsign: { type: String, required: true, trim: true, uppercase: true },
+    status: { type: String, enum: ['PENDING', 'ACCEPTED', 'REJECTED'], default: 'PENDING' },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reviewedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+    createdUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+PilotApplicationSchema.index({ status: 1, createdAt: 1 }); // Speeds up the recruitment review queue
+PilotApplicationSchema.index({ email: 1, status: 1 }); // Speeds up duplicate application checks
+const PilotApplication = mongoose.model('PilotApplication', PilotApplicationSchema);
+
+// --- Session Schema (one per login, holds the rotating refresh token) ---
+const SessionSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    refreshTokenHash: { type: String, required: true },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    createdAt: { type: Date, default: Date.now },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null }
+});
+SessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+SessionSchema.index({ user: 1, revokedAt: 1 }); // Speeds up "log out all devices" and admin revocation
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // MongoDB purges expired sessions automatically
+const Session = mongoose.model('Session', SessionSchema);
+
+// --- Permissions ---
+// Every protected route checks one of these named permissions. Which roles hold which
+// permissions is stored in the RolePermission collection and editable through the admin API.
+const permissionCatalog = {
+    'event.manage': 'Create and delete community events',
+    'highlight.manage': 'Create and delete community highlights',
+    'application.review': 'Review, accept and reject pilot applications',
+    'pirep.review': 'Review, approve and reject PIREPs',
+    'rank.manage': 'Manually change pilot ranks',
+    'hours.adjust': 'View pilots\' hour ledgers and manually adjust or reconcile their flight hours',
+    'logbook.import': 'Import pilots\' historical flights from other virtual airlines',
+    'achievement.manage': 'Define achievements and award or remove pilots\' badges by hand',
+    'roster.manage': 'Create, delete and view all rosters',
+    'roster.generate': 'Run automated roster generation',
+    'route.sync': 'Import the route sheets into the route database and view sync reports',
+    'duty.review': 'Browse all pilots\' duty history and resolve timed-out duties',
+    'user.manage': 'Create, list, delete users and manage their callsigns, passwords and sessions',
+    'user.role.assign': 'Change a user\'s role',
+    'log.view': 'View the admin audit log',
+    'permission.manage': 'Edit the permissions granted to each role'
+};
+
+// Default grants; they mirror the original hard-coded role lists. Each default is applied once per role
+// (tracked in seededPermissions), so permissions added in later releases reach existing roles while
+// grants an admin has deliberately revoked stay revoked.
+// The 'admin' role always holds every permission so it can never be locked out.
+const defaultRolePermissions = {
+    'Chief Executive Officer (CEO)': [
+        'event.manage', 'highlight.manage', 'application.review', 'pirep.review', 'rank.manage', 'roster.manage', 'roster.generate',
+        'route.sync', 'duty.review', 'hours.adjust', 'logbook.import', 'achievement.manage'
+    ],
+    'Chief Operating Officer (COO)': [
+        'event.manage', 'highlight.manage', 'application.review', 'pirep.review', 'rank.manage', 'roster.manage', 'roster.generate',
+        'route.sync', 'duty.review', 'hours.adjust', 'logbook.import', 'achievement.manage'
+    ],
+    'Chief Marketing Officer (CMO)': ['event.manage', 'highlight.manage'],
+    'Events Manager (EM)': ['event.manage', 'highlight.manage', 'achievement.manage'],
+    'Head of Training (COT)': ['rank.manage', 'hours.adjust', 'achievement.manage'],
+    'PIREP Manager (PM)': ['pirep.review', 'duty.review', 'logbook.import'],
+    'Route Manager (RM)': ['roster.manage', 'roster.generate', 'route.sync'],
+    'Pilot Relations & Recruitment Manager (PR)': ['application.review']
+};
+
+// --- Role Permission Schema ---
+const RolePermissionSchema = new mongoose.Schema({
+    role: { type: String, required: true, unique: true, enum: User.schema.path('role').enumValues },
+    permissions: [{ type: String, enum: Object.keys(permissionCatalog) }],
+    seededPermissions: [{ type: String }], // Defaults already applied to this role
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    updatedAt: { type: Date, default: Date.now }
+});
+const RolePermission = mongoose.model('RolePermission', RolePermissionSchema);
+
 // --- Event Schema ---
 const EventSchema = new mongoose.Schema({
     title: { type: String, required: true },
     date: { type: Date, required: true },
     description: { type: String, required: true },
     imageUrl: { type: String },
+    imageUrls: { type: ImageSizesSchema, default: null },
+    // Group flight details; all optional so plain announcements still work
+    departure: { type: String, uppercase: true, trim: true, default: null },
+    arrival: { type: String, uppercase: true, trim: true, default: null },
+    allowedAircraft: [{ type: String, uppercase: true, trim: true }], // Empty means any aircraft
+    minimumRank: { type: String, enum: [...pilotRanks, null], default: null },
+    capacity: { type: Number, min: 1, default: null }, // null means unlimited (or one per gate when gates are listed)
+    gates: [{ type: String, trim: true }], // Slot N departs from gates[N - 1]
+    slotIntervalMinutes: { type: Number, min: 0, default: 0 }, // Spacing between slot departure times
+    durationMinutes: { type: Number, min: 1, default: 120 }, // Used for the calendar feed
+    series: { type: mongoose.Schema.Types.ObjectId, default: null, index: true }, // Shared by every occurrence of a recurring event
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
 });
 const Event = mongoose.model('Event', EventSchema);
 
+// --- Event RSVP Schema ---
+// One document per pilot per event; cancelling and RSVPing again reuses it.
+// CONFIRMED RSVPs hold a slot (and gate); WAITLISTED ones are promoted in RSVP order as slots free up.
+const EventRsvpSchema = new mongoose.Schema({
+    event: { type: mongoose.Schema.Types.ObjectId, ref: 'Event', required: true },
+    pilot: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['CONFIRMED', 'WAITLISTED', 'CANCELLED'], required: true },
+    aircraft: { type: String, uppercase: true, trim: true, default: null },
+    slotNumber: { type: Number, default: null },
+    gate: { type: String, default: null },
+    departureTime: { type: Date, default: null },
+    rsvpAt: { type: Date, default: Date.now }, // Waitlist order
+    cancelledAt: { type: Date, default: null },
+    cancellationReason: { type: String, default: null } // Set when the pilot stopped meeting the event's requirements
+});
+EventRsvpSchema.index({ event: 1, pilot: 1 }, { unique: true });
+// A slot can only be held by one confirmed pilot
+EventRsvpSchema.index({ event: 1, slotNumber: 1 }, { unique: true, partialFilterExpression: { status: 'CONFIRMED' } });
+EventRsvpSchema.index({ pilot: 1, status: 1 });
+const EventRsvp = mongoose.model('EventRsvp', EventRsvpSchema);
+
 // --- Highlight Schema ---
 const HighlightSchema = new mongoose.Schema({
     title: { type: String, required: true },
     winnerName: { type: String, required: true },
     description: { type: String },
     imageUrl: { type: String, required: true },
+    imageUrls: { type: ImageSizesSchema, default: null },
     author: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
 });
 const Highlight = mongoose.model('Highlight', HighlightSchema);
 
+// --- Achievement Schema (badge definitions; earned badges live on the user) ---
+// criteria.kind selects an evaluator in achievementCriteria; threshold is its target where one applies.
+// MANUAL achievements are never earned automatically and can only be awarded by staff.
+const achievementCriteriaKinds = {
+    FLIGHT_COUNT: 'Approved flights flown (threshold: number of flights)',
+    FLIGHT_HOURS: 'Total credited flight hours (threshold: hours)',
+    LONG_HAUL: 'A single flight at least this long (threshold: hours)',
+    UNIQUE_AIRPORTS: 'Different airports departed from or arrived at (threshold: number of airports)',
+    UNIQUE_AIRCRAFT: 'Different aircraft types flown (threshold: number of types)',
+    ALL_FLEET_AIRCRAFT: 'Every aircraft type in the route network flown',
+    ROSTERS_COMPLETED: 'Rosters completed on duty (threshold: number of rosters)',
+    ALL_CODESHARE_OPERATORS: 'A flight with every codeshare partner operator',
+    MANUAL: 'Awarded by staff only'
+};
+const AchievementSchema = new mongoose.Schema({
+    key: { type: String, required: true, unique: true, trim: true, lowercase: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, required: true, trim: true },
+    iconUrl: { type: String, default: null },
+    criteria: {
+        kind: { type: String, enum: Object.keys(achievementCriteriaKinds), required: true },
+        threshold: { type: Number, default: null }
+    },
+    isActive: { type: Boolean, default: true }, // Inactive achievements are no longer awarded; existing badges stay
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+const Achievement = mongoose.model('Achievement', AchievementSchema);
+
+// Created on first start; later edits by staff are never overwritten
+const defaultAchievements = [
+    { key: 'first-flight', name: 'First Flight', description: 'Flew your first approved flight with IndGo.', criteria: { kind: 'FLIGHT_COUNT', threshold: 1 } },
+    { key: 'centurion', name: 'Centurion', description: 'Completed 100 approved flights.', criteria: { kind: 'FLIGHT_COUNT', threshold: 100 } },
+    { key: 'first-long-haul', name: 'Long Hauler', description: 'Completed your first long-haul flight of 6 hours or more.', criteria: { kind: 'LONG_HAUL', threshold: 6 } },
+    { key: 'globetrotter', name: 'Globetrotter', description: 'Visited 50 different airports.', criteria: { kind: 'UNIQUE_AIRPORTS', threshold: 50 } },
+    { key: 'fleet-master', name: 'Fleet Master', description: 'Flew every aircraft type in the IndGo route network.', criteria: { kind: 'ALL_FLEET_AIRCRAFT' } },
+    { key: 'roster-regular', name: 'Roster Regular', description: 'Completed 10 rosters.', criteria: { kind: 'ROSTERS_COMPLETED', threshold: 10 } },
+    { key: 'codeshare-connoisseur', name: 'Codeshare Connoisseur', description: 'Flew with every codeshare partner.', criteria: { kind: 'ALL_CODESHARE_OPERATORS' } }
+];
+
 // --- PIREP Schema ---
 const PirepSchema = new mongoose.Schema({
     pilot: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
@@ -266,26 +802,93 @@ const PirepSchema = new mongoose.Schema({
         rankUnlock: { type: String, required: true, trim: true },
         operator:   { type: String, required: true, trim: true },
     remarks: { type: String, trim: true },
-    status: { type: String, enum: ['PENDING', 'APPROVED', 'REJECTED'], default: 'PENDING' },
+    status: { type: String, enum: ['PENDING', 'NEEDS_INFO', 'APPROVED', 'REJECTED', 'REVOKED'], default: 'PENDING' },
     reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
     rejectionReason: { type: String, default: null },
     createdAt: { type: Date, default: Date.now },
     reviewedAt: { type: Date, default: null },
-    verificationImageUrl: { type: String, default: null }, // Temporary URL for staff review
+    verificationImageUrl: { type: String, default: null }, // Temporary URL for staff review (the first image, kept for older clients)
+    verificationImageUrls: [{ type: String }], // Every verification image, cleared with the URL above once reviewed
     isMultiplierEligible: { type: Boolean, default: false }, // True if this is the last leg of a roster
+    // IMPORT marks historical flights loaded by staff from another virtual airline's logbook; their
+    // createdAt is the date flown, and they are left out of FTPL and plausibility checks
+    source: { type: String, enum: ['FILED', 'IMPORT'], default: 'FILED' },
+    importedFrom: { type: String, default: null },
+    // What approval credited, so a later revocation can take back exactly the same amount
+    hoursAwarded: { type: Number, default: null },
+    multiplierApplied: { type: Number, default: null },
+    previousKnownAirport: { type: String, default: null }, // Pilot's lastKnownAirport before approval moved it
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    revokedAt: { type: Date, default: null },
+    revocationReason: { type: String, default: null },
+    // Automatic plausibility checks, see assessPirepPlausibility
+    distanceNm: { type: Number, default: null },
+    impliedSpeedKts: { type: Number, default: null },
+    riskScore: { type: Number, default: 0 },
+    riskFlags: [{ _id: false, code: String, message: String, weight: Number }],
     rosterLeg: {
         rosterId: { type: mongoose.Schema.Types.ObjectId, ref: 'Roster' },
         flightNumber: { type: String }
-    }
+    },
+    // One entry per submission (the original filing and every resubmission), with the rejection it received
+    revisions: [{
+        submittedAt: { type: Date, default: Date.now },
+        flightNumber: String,
+        departure: String,
+        arrival: String,
+        aircraft: String,
+        flightTime: Number,
+        remarks: String,
+        changedFields: [{ type: String }], // Fields that differ from the previous submission
+        rejectionReason: { type: String, default: null },
+        rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+        rejectedAt: { type: Date, default: null }
+    }],
+    // Conversation between the filing pilot and reviewers
+    comments: [{
+        author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        authorIsStaff: { type: Boolean, default: false },
+        body: { type: String, required: true, trim: true, maxlength: 2000 },
+        kind: { type: String, enum: ['COMMENT', 'INFO_REQUEST', 'INFO_PROVIDED'], default: 'COMMENT' },
+        createdAt: { type: Date, default: Date.now }
+    }]
 });
 const Pirep = mongoose.model('Pirep', PirepSchema);
 
+// Every stored verification image of a PIREP, including legacy single-image reports
+const pirepImageUrls = (pirep) => [...new Set([pirep.verificationImageUrl, ...(pirep.verificationImageUrls || [])].filter(Boolean))];
+
+// A PIREP in either of these states is still awaiting a decision; NEEDS_INFO means it is waiting on the pilot
+const openPirepStatuses = ['PENDING', 'NEEDS_INFO'];
+// PIREPs that count as flown for duty, FTPL and duplicate checks
+const countedPirepStatuses = ['PENDING', 'NEEDS_INFO', 'APPROVED'];
+
+// Fields a pilot submits (and may amend on resubmission); snapshotted into each revision
+const pirepRevisionFields = ['flightNumber', 'departure', 'arrival', 'aircraft', 'flightTime', 'remarks'];
+
 // --- PERFORMANCE UPDATE: ADDED INDEXES FOR FASTER QUERIES ---
 PirepSchema.index({ pilot: 1 }); // Speeds up fetching a user's PIREPs
 PirepSchema.index({ status: 1 }); // Speeds up finding 'PENDING' PIREPs
+PirepSchema.index({ pilot: 1, createdAt: -1 }); // Speeds up rolling-window FTPL calculations
+PirepSchema.index({ status: 1, riskScore: -1 }); // Speeds up sorting the pending queue by risk
 PirepSchema.index({ 'rosterLeg.rosterId': 1, 'rosterLeg.flightNumber': 1 }); // Speeds up checking for duplicate PIREPs on a roster
 
 
+// --- Hour Transaction Schema (ledger of every change to a pilot's flight hours) ---
+const HourTransactionSchema = new mongoose.Schema({
+    pilot: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    amount: { type: Number, required: true }, // Signed: positive credits, negative debits
+    type: { type: String, required: true, enum: ['OPENING_BALANCE', 'PIREP_APPROVAL', 'PIREP_REVOCATION', 'MANUAL_ADJUSTMENT', 'RECONCILIATION', 'IMPORT'] },
+    pirep: { type: mongoose.Schema.Types.ObjectId, ref: 'Pirep', default: null },
+    multiplier: { type: Number, default: null },
+    balanceAfter: { type: Number, required: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    note: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now }
+});
+HourTransactionSchema.index({ pilot: 1, createdAt: 1 });
+const HourTransaction = mongoose.model('HourTransaction', HourTransactionSchema);
+
 // --- Roster Schema (Enhanced for Automation) ---
 const RosterSchema = new mongoose.Schema({
     name: { type: String, required: true, trim: true },
@@ -300,35 +903,197 @@ const RosterSchema = new mongoose.Schema({
     totalFlightTime: { type: Number, required: true, min: 0 },
     multiplier: { type: Number, default: 1, min: 1, max: 2 }, // Random multiplier for the final leg
     isAvailable: { type: Boolean, default: true },
+    isExclusive: { type: Boolean, default: false }, // Only one pilot may fly it at a time
+    inUseBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // Set while an exclusive roster is being flown
     isGenerated: { type: Boolean, default: false }, 
+    generation: { // How a generated roster was produced, so the run can be reproduced
+        profile: { type: String, default: null },
+        seed: { type: String, default: null }
+    },
     createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     createdAt: { type: Date, default: Date.now }
 });
 const Roster = mongoose.model('Roster', RosterSchema);
 
+// --- Roster Reservation Schema ---
+const RosterReservationSchema = new mongoose.Schema({
+    roster: { type: mongoose.Schema.Types.ObjectId, ref: 'Roster', required: true },
+    pilot: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    status: { type: String, enum: ['ACTIVE', 'CONSUMED', 'CANCELLED', 'EXPIRED'], default: 'ACTIVE' },
+    reservedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    closedAt: { type: Date, default: null } // When it was consumed by going on duty, cancelled or expired
+});
+// At most one active reservation per roster and per pilot; enforced by the database so concurrent requests can't double-book
+RosterReservationSchema.index({ roster: 1 }, { unique: true, partialFilterExpression: { status: 'ACTIVE' } });
+RosterReservationSchema.index({ pilot: 1 }, { unique: true, partialFilterExpression: { status: 'ACTIVE' } });
+RosterReservationSchema.index({ pilot: 1, reservedAt: -1 });
+RosterReservationSchema.index({ status: 1, expiresAt: 1 });
+const RosterReservation = mongoose.model('RosterReservation', RosterReservationSchema);
+
+// --- Duty Log Schema (one record per duty period) ---
+const DutyLogSchema = new mongoose.Schema({
+    pilot: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    roster: { type: mongoose.Schema.Types.ObjectId, ref: 'Roster', default: null },
+    rosterName: { type: String, default: '' }, // Kept so history survives roster regeneration
+    startedAt: { type: Date, required: true },
+    endedAt: { type: Date, default: null },
+    status: { type: String, enum: ['ACTIVE', 'COMPLETED', 'INCOMPLETE', 'TIMED_OUT'], default: 'ACTIVE' },
+    endedBy: { type: String, enum: ['PILOT', 'SYSTEM', null], default: null },
+    legsPlanned: { type: Number, default: 0 },
+    legsFlown: [{ type: String }], // Flight numbers with a pending or approved PIREP
+    pireps: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Pirep' }],
+    finalAirport: { type: String, uppercase: true, trim: true, default: null },
+    flaggedForReview: { type: Boolean, default: false },
+    flagReason: { type: String, default: null },
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    resolvedAt: { type: Date, default: null },
+    resolutionNote: { type: String, default: null }
+});
+DutyLogSchema.index({ pilot: 1, startedAt: -1 });
+DutyLogSchema.index({ pilot: 1, status: 1 });
+DutyLogSchema.index({ flaggedForReview: 1, startedAt: -1 });
+const DutyLog = mongoose.model('DutyLog', DutyLogSchema);
+
 // --- PERFORMANCE UPDATE: ADDED INDEXES FOR FASTER QUERIES ---
 RosterSchema.index({ isAvailable: 1, 'legs.0.departure': 1 }); // Speeds up finding available rosters by location
 
+// --- Route Schema (the route network, filled by syncing the route sheets) ---
+const RouteSchema = new mongoose.Schema({
+    routeKey: { type: String, required: true, unique: true }, // OPERATOR|FLIGHT|DEP|ARR, see buildRouteKey
+    flightNumber: { type: String, required: true, trim: true },
+    departure: { type: String, required: true, uppercase: true, trim: true },
+    arrival: { type: String, required: true, uppercase: true, trim: true },
+    aircraft: { type: String, required: true, trim: true },
+    flightTime: { type: Number, required: true, min: 0 },
+    rankUnlock: { type: String, required: true, trim: true },
+    operator: { type: String, required: true, trim: true },
+    isCodeshare: { type: Boolean, default: false },
+    source: { type: String, default: '' }, // Sheet the route was last imported from
+    lastSyncedAt: { type: Date, default: Date.now }
+});
+RouteSchema.index({ departure: 1, arrival: 1 });
+RouteSchema.index({ arrival: 1 });
+RouteSchema.index({ operator: 1 });
+RouteSchema.index({ rankUnlock: 1 });
+const Route = mongoose.model('Route', RouteSchema);
+
+// --- Route Sync Schema (one report per sync run) ---
+const RouteSyncSchema = new mongoose.Schema({
+    triggeredBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    totalRoutes: { type: Number, default: 0 },
+    added: [{ type: String }],
+    changed: [{
+        _id: false,
+        routeKey: String,
+        changes: [{ _id: false, field: String, from: mongoose.Schema.Types.Mixed, to: mongoose.Schema.Types.Mixed }]
+    }],
+    removed: [{ type: String }],
+    removalSkipped: { type: Boolean, default: false }, // True when a source failed, so nothing was removed
+    rejected: [{ _id: false, source: String, row: Number, reason: String, data: String }],
+    failedSources: [{ _id: false, source: String, reason: String }],
+    createdAt: { type: Date, default: Date.now }
+});
+const RouteSync = mongoose.model('RouteSync', RouteSyncSchema);
+
+// --- Generation Profile Schema (named, reusable roster generation settings) ---
+const GenerationProfileSchema = new mongoose.Schema({
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, default: '' },
+    config: { type: mongoose.Schema.Types.Mixed, default: {} }, // Validated by normalizeGenerationConfig before saving
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+const GenerationProfile = mongoose.model('GenerationProfile', GenerationProfileSchema);
+
+// --- Roster Preview Schema (a dry-run generation waiting to be committed) ---
+const RosterPreviewSchema = new mongoose.Schema({
+    config: { type: mongoose.Schema.Types.Mixed, required: true },
+    rosters: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    legsFound: { type: Number, default: 0 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    committedAt: { type: Date, default: null },
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    createdAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: () => Date.now() + 24 * 60 * 60 * 1000 }
+});
+RosterPreviewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // Uncommitted previews are purged after a day
+const RosterPreview = mongoose.model('RosterPreview', RosterPreviewSchema);
+
 
 // 6. HELPER FUNCTIONS & MIDDLEWARE
 
-// Helper function to delete an object from S3
-const deleteS3Object = async (imageUrl) => {
+// Helper function to delete an uploaded file from whichever storage driver is configured
+const deleteStoredFile = async (imageUrl) => {
     if (!imageUrl) return;
     try {
-        const url = new URL(imageUrl);
-        const key = url.pathname.substring(1);
-        const command = new DeleteObjectCommand({
-            Bucket: process.env.AWS_S3_BUCKET_NAME,
-            Key: key,
-        });
-        await s3Client.send(command);
-        console.log(`Successfully deleted ${key} from S3.`);
+        const key = await storage.remove(imageUrl);
+        console.log(`Successfully deleted ${key} from ${STORAGE_DRIVER} storage.`);
     } catch (error) {
-        console.error(`Failed to delete object from S3: ${imageUrl}`, error);
+        console.error(`Failed to delete stored file: ${imageUrl}`, error);
+    }
+};
+
+// Deletes every stored size of a user, event or highlight picture, including legacy single-file images
+const deleteStoredImage = (doc) => {
+    const urls = new Set([doc.imageUrl, ...imageSizeNames.map(name => doc.imageUrls?.[name])].filter(Boolean));
+    return Promise.all([...urls].map(url => deleteStoredFile(url)));
+};
+
+// --- Pluggable Mailer ---
+// MAIL_DRIVER selects how outgoing mail is delivered:
+//   'file'    (default) writes each message as a .txt file into MAIL_OUTBOX_DIR for manual forwarding.
+//   'console' prints the message to the server log.
+const mailDrivers = {
+    file: async ({ to, subject, text }) => {
+        const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'mail-outbox');
+        await fs.mkdir(outboxDir, { recursive: true });
+        const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.txt`;
+        await fs.writeFile(path.join(outboxDir, fileName), `To: ${to}\nSubject: ${subject}\n\n${text}\n`);
+        console.log(`Mail to ${to} written to outbox as ${fileName}.`);
+    },
+    console: async ({ to, subject, text }) => {
+        console.log(`--- MAIL to ${to} ---\nSubject: ${subject}\n\n${text}\n--- END MAIL ---`);
     }
 };
 
+const sendMail = async (message) => {
+    const driverName = process.env.MAIL_DRIVER || 'file';
+    const driver = mailDrivers[driverName];
+    if (!driver) throw new Error(`Unknown MAIL_DRIVER "${driverName}".`);
+    await driver(message);
+};
+
+// --- Password Reset Helpers ---
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour in ms
+const FORCED_PASSWORD_RESET_TTL = 24 * 60 * 60 * 1000; // 24 hours in ms
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://indgo-va.netlify.app';
+
+// SHA-256 digest used for every bearer secret we persist (reset tokens, refresh tokens)
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issues a fresh single-use reset token for the user (replacing any earlier one) and emails the link.
+// The token is stored before the email goes out, so a link is never sent that can't be used; `extraUpdate`
+// is written in the same update. Returns false, without sending anything, if the user no longer exists.
+const issuePasswordReset = async (user, ttl = PASSWORD_RESET_TTL, extraUpdate = {}) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const stored = await User.updateOne(
+        { _id: user._id },
+        { $set: { ...extraUpdate, passwordResetTokenHash: hashToken(token), passwordResetExpires: new Date(Date.now() + ttl) } }
+    );
+    if (stored.matchedCount === 0) return false;
+
+    const resetLink = `${FRONTEND_URL}/reset-password.html?token=${token}`;
+    const validForMinutes = Math.round(ttl / (60 * 1000));
+    await sendMail({
+        to: user.email,
+        subject: 'IndGo Virtual password reset',
+        text: `Hello ${user.name},\n\nUse the link below to choose a new password. It can be used once and expires in ${validForMinutes} minutes.\n\n${resetLink}\n\nIf you did not request this, you can ignore this email.`
+    });
+    return true;
+};
+
 // Improved Google Sheets update function
 const updateGoogleSheet = async (pilotData) => {
     if (!pilotData || !pilotData.callsign) {
@@ -454,8 +1219,6 @@ const deleteRowFromGoogleSheet = async (callsign) => {
     }
 };
 
-// --- (UPGRADED) AUTOMATED ROSTER GENERATION LOGIC ---
-
 // Deduce a rank from the aircraft string (mirrors the sheet's ARRAYFORMULA mapping)
 const deduceRankFromAircraft = (acStr) => {
     const s = String(acStr || '').toUpperCase();
@@ -474,76 +1237,81 @@ const deduceRankFromAircraft = (acStr) => {
     if (has('COMMANDER')) return 'Blue Legacy Commander';
     return 'Unknown';
 };
-const generateRostersFromGoogleSheet = async () => {
-    console.log('Starting automated roster generation from all sources...');
-
-    const convertTimeToDecimal = (timeStr) => {
-        if (!timeStr || typeof timeStr !== 'string') return NaN;
-        const trimmedStr = timeStr.trim();
-        if (trimmedStr.includes(':')) {
-            const parts = trimmedStr.split(':');
-            if (parts.length === 2 || parts.length === 3) {
-                const hours = parseInt(parts[0], 10);
-                const minutes = parseInt(parts[1], 10);
-                if (!isNaN(hours) && !isNaN(minutes)) {
-                    return hours + (minutes / 60);
-                }
+// --- ROUTE SHEET PARSING ---
+
+const convertTimeToDecimal = (timeStr) => {
+    if (!timeStr || typeof timeStr !== 'string') return NaN;
+    const trimmedStr = timeStr.trim();
+    if (trimmedStr.includes(':')) {
+        const parts = trimmedStr.split(':');
+        if (parts.length === 2 || parts.length === 3) {
+            const hours = parseInt(parts[0], 10);
+            const minutes = parseInt(parts[1], 10);
+            if (!isNaN(hours) && !isNaN(minutes)) {
+                return hours + (minutes / 60);
             }
         }
-        const hourMatch = trimmedStr.match(/(\d+)\s*h/);
-        const minMatch = trimmedStr.match(/(\d+)\s*m/);
-        if (hourMatch || minMatch) {
-            let totalHours = 0;
-            if (hourMatch) totalHours += parseInt(hourMatch[1], 10);
-            if (minMatch) totalHours += parseInt(minMatch[1], 10) / 60;
-            return totalHours;
-        }
-        return NaN;
-    };
+    }
+    const hourMatch = trimmedStr.match(/(\d+)\s*h/);
+    const minMatch = trimmedStr.match(/(\d+)\s*m/);
+    if (hourMatch || minMatch) {
+        let totalHours = 0;
+        if (hourMatch) totalHours += parseInt(hourMatch[1], 10);
+        if (minMatch) totalHours += parseInt(minMatch[1], 10) / 60;
+        return totalHours;
+    }
+    return NaN;
+};
 
-    const extractIcao = (text) => {
-        if (!text) return null;
-        const match = text.match(/^\s*([A-Z]{4})/);
-        return match ? match[1] : null;
-    };
+const extractIcao = (text) => {
+    if (!text) return null;
+    const match = text.match(/^\s*([A-Z]{4})/);
+    return match ? match[1] : null;
+};
 
-    const headerAliasesBase = {
-        flightNumber: ['Flight No.', 'Flight Number', 'Callsign'],
-        departure: ['Departure ICAO', 'Departure', 'Origin', 'From'],
-        arrival: ['Arrival ICAO', 'Arrival', 'Destination', 'To'],
-        aircraft: ['Aircraft(s)', 'Aircraft', 'Plane'],
-        flightTime: ['Avg. Flight Time', 'Flight Time', 'Duration']
-    };
-    const headerAliasesCodeshare = {
-        ...headerAliasesBase,
-        rankUnlock: ['Rank Unlock', 'Rank', 'Rank Required', 'Unlock Rank'],
-        operator:   ['Operator', 'Airline', 'Carrier', 'Virtual Airline']
-    };
+const headerAliasesBase = {
+    flightNumber: ['Flight No.', 'Flight Number', 'Callsign'],
+    departure: ['Departure ICAO', 'Departure', 'Origin', 'From'],
+    arrival: ['Arrival ICAO', 'Arrival', 'Destination', 'To'],
+    aircraft: ['Aircraft(s)', 'Aircraft', 'Plane'],
+    flightTime: ['Avg. Flight Time', 'Flight Time', 'Duration']
+};
+const headerAliasesCodeshare = {
+    ...headerAliasesBase,
+    rankUnlock: ['Rank Unlock', 'Rank', 'Rank Required', 'Unlock Rank'],
+    operator:   ['Operator', 'Airline', 'Carrier', 'Virtual Airline']
+};
 
-    
-    let allLegs = [];
-    
-    const primaryUrls = process.env.ROUTES_SHEET_URL ? process.env.ROUTES_SHEET_URL.split(',') : [];
-    const codeshareUrls = process.env.CODESHARE_SHEET_URLS ? process.env.CODESHARE_SHEET_URLS.split(',') : [];
-    const allUrls = [...primaryUrls, ...codeshareUrls].filter(Boolean);
+// Identity of a route across imports; a row with the same key in the next import is the "same" route
+const buildRouteKey = (leg) => [leg.operator, leg.flightNumber, leg.departure, leg.arrival].map(v => String(v).toUpperCase()).join('|');
 
-    if (allUrls.length === 0) {
-        console.warn('No ROUTES_SHEET_URL or CODESHARE_SHEET_URLS defined. Aborting roster generation.');
-        return { created: 0, legsFound: 0 };
-    }
+// Downloads and parses every ROUTES_SHEET_URL and CODESHARE_SHEET_URLS CSV.
+// Returns the valid legs, every rejected row with the reason it was rejected, and the sources that could not be read.
+const fetchRoutesFromSheets = async () => {
+    const primaryUrls = process.env.ROUTES_SHEET_URL ? process.env.ROUTES_SHEET_URL.split(',').map(s => s.trim()) : [];
+    const codeshareUrls = process.env.CODESHARE_SHEET_URLS ? process.env.CODESHARE_SHEET_URLS.split(',').map(s => s.trim()) : [];
+    const sources = [
+        ...primaryUrls.filter(Boolean).map(url => ({ url, isCodeshare: false })),
+        ...codeshareUrls.filter(Boolean).map(url => ({ url, isCodeshare: true }))
+    ];
+
+    const legs = [];
+    const rejected = [];
+    const failedSources = [];
 
-    for (const url of allUrls) {
-        const isCodeshare = (process.env.CODESHARE_SHEET_URLS ? process.env.CODESHARE_SHEET_URLS.split(',').map(s=>s.trim()) : []).includes(url.trim());
+    for (const { url, isCodeshare } of sources) {
         const headerAliases = isCodeshare ? headerAliasesCodeshare : headerAliasesBase;
         const canonicalKeys = Object.keys(headerAliases);
+        const sourceLabel = url.substring(0, 80);
         try {
-            console.log(`Fetching routes from: ${url.substring(0, 80)}...`);
-            const response = await axios.get(url.trim());
+            console.log(`Fetching routes from: ${sourceLabel}...`);
+            const response = await axios.get(url);
             const parsed = Papa.parse(response.data, { header: false, skipEmptyLines: true });
             const allRows = parsed.data;
 
             if (!allRows || allRows.length === 0) {
                 console.log('- Sheet is empty or could not be parsed.');
+                failedSources.push({ source: sourceLabel, reason: 'Sheet is empty or could not be parsed.' });
                 continue;
             }
 
@@ -553,11 +1321,11 @@ const generateRostersFromGoogleSheet = async () => {
             for (let i = 0; i < allRows.length; i++) {
                 const row = allRows[i];
                 const tempMap = {};
-                
+
                 row.forEach((headerCell, index) => {
                     const trimmedHeader = headerCell.trim().toLowerCase();
                     if (!trimmedHeader) return;
-                    
+
                     for (const key of canonicalKeys) {
                         if (headerAliases[key].some(alias => alias.toLowerCase() === trimmedHeader)) {
                             tempMap[key] = index;
@@ -576,169 +1344,1736 @@ const generateRostersFromGoogleSheet = async () => {
 
             if (headerRowIndex === -1) {
                 console.warn(`- Could not find a valid header row in sheet: ${url}`);
+                failedSources.push({ source: sourceLabel, reason: 'Could not find a valid header row.' });
                 continue;
             }
 
-            const dataRows = allRows.slice(headerRowIndex + 1);
-
-            
-            const legsFromSheet = dataRows
-                .map(row => {
-                    const departureIcao = extractIcao(row[columnMap.departure]);
-                    const arrivalIcao   = extractIcao(row[columnMap.arrival]);
-                    const flightTime    = convertTimeToDecimal(row[columnMap.flightTime]);
-                    const flightNumber  = row[columnMap.flightNumber]?.trim();
-                    const aircraft      = row[columnMap.aircraft]?.trim();
-
-                    // Determine operator/rank per sheet type
-                    let rankUnlock = null;
-                    let operator = null;
-
-                    if (isCodeshare) {
-                        rankUnlock = row[columnMap.rankUnlock]?.trim();
-                        operator   = row[columnMap.operator]?.trim();
-                        if (!rankUnlock || !operator) return null; // enforce for codeshare
-                    } else {
-                        // Primary: compute defaults if not explicitly present
-                        rankUnlock = (columnMap.rankUnlock !== undefined) ? String(row[columnMap.rankUnlock] || '').trim() : deduceRankFromAircraft(aircraft);
-                        operator   = (columnMap.operator !== undefined) ? String(row[columnMap.operator] || '').trim() : 'IndGo Air Virtual';
-                    }
+            let validCount = 0;
+            allRows.slice(headerRowIndex + 1).forEach((row, i) => {
+                const rowNumber = headerRowIndex + i + 2; // 1-based sheet row
+                const reject = (reason) => rejected.push({ source: sourceLabel, row: rowNumber, reason, data: row.join(', ') });
+
+                const departureIcao = extractIcao(row[columnMap.departure]);
+                const arrivalIcao   = extractIcao(row[columnMap.arrival]);
+                const flightTime    = convertTimeToDecimal(row[columnMap.flightTime]);
+                const flightNumber  = row[columnMap.flightNumber]?.trim();
+                const aircraft      = row[columnMap.aircraft]?.trim();
+
+                // Determine operator/rank per sheet type
+                let rankUnlock = null;
+                let operator = null;
+
+                if (isCodeshare) {
+                    rankUnlock = row[columnMap.rankUnlock]?.trim();
+                    operator   = row[columnMap.operator]?.trim();
+                } else {
+                    // Primary: compute defaults if not explicitly present
+                    rankUnlock = (columnMap.rankUnlock !== undefined) ? String(row[columnMap.rankUnlock] || '').trim() : deduceRankFromAircraft(aircraft);
+                    operator   = (columnMap.operator !== undefined) ? String(row[columnMap.operator] || '').trim() : 'IndGo Air Virtual';
+                }
 
-                    if (departureIcao && arrivalIcao && flightNumber && aircraft && !isNaN(flightTime) && flightTime > 0 && rankUnlock && operator) {
-                        return { flightNumber, departure: departureIcao, arrival: arrivalIcao, aircraft, flightTime, rankUnlock, operator };
-                    }
-                    return null;
-                })
-                .filter(leg => leg !== null);
+                if (!flightNumber) return reject('Missing flight number.');
+                if (!departureIcao) return reject('Missing or invalid departure ICAO.');
+                if (!arrivalIcao) return reject('Missing or invalid arrival ICAO.');
+                if (!aircraft) return reject('Missing aircraft.');
+                if (isNaN(flightTime) || flightTime <= 0) return reject(`Invalid flight time "${row[columnMap.flightTime] || ''}".`);
+                if (!rankUnlock) return reject('Missing rank unlock.');
+                if (!operator) return reject('Missing operator.');
+
+                legs.push({
+                    flightNumber, departure: departureIcao, arrival: arrivalIcao, aircraft, flightTime, rankUnlock, operator,
+                    isCodeshare, source: sourceLabel, sourceRow: rowNumber
+                });
+                validCount++;
+            });
 
-            
-            allLegs.push(...legsFromSheet);
-            console.log(`- Found ${legsFromSheet.length} valid legs from this sheet.`);
+            console.log(`- Found ${validCount} valid legs from this sheet.`);
 
         } catch (error) {
             console.error(`Failed to process URL ${url}:`, error.message);
+            failedSources.push({ source: sourceLabel, reason: error.message });
         }
     }
 
-    console.log(`Total available legs for roster generation from all sources: ${allLegs.length}`);
+    return { sourceCount: sources.length, legs, rejected, failedSources };
+};
 
-    if (allLegs.length === 0) {
-        console.warn('No valid legs found from any source. No rosters will be generated.');
-        return { created: 0, legsFound: allLegs.length };
+// Configuration problems carry syncMisconfigured so the sync route can answer them with a 400, not a 500
+const routeSyncMisconfiguration = (message) => Object.assign(new Error(message), { syncMisconfigured: true });
+
+// Imports the route sheets into the Route collection, diffing against the previous import.
+// Routes are only removed when every source was read successfully, so a sheet that is
+// temporarily unreachable cannot wipe its routes from the network.
+const syncRoutesFromSheets = async (triggeredBy = null) => {
+    console.log('Starting route sync from all sources...');
+    const { sourceCount, legs, rejected, failedSources } = await fetchRoutesFromSheets();
+
+    if (sourceCount === 0) {
+        throw routeSyncMisconfiguration('No ROUTES_SHEET_URL or CODESHARE_SHEET_URLS defined. Cannot sync routes.');
+    }
+
+    const trackedFields = ['aircraft', 'flightTime', 'rankUnlock', 'isCodeshare'];
+    const incoming = new Map();
+    for (const leg of legs) {
+        const routeKey = buildRouteKey(leg);
+        const duplicate = incoming.get(routeKey);
+        if (duplicate) {
+            rejected.push({
+                source: leg.source, row: leg.sourceRow,
+                reason: `Duplicate of ${duplicate.flightNumber} at row ${duplicate.sourceRow} of ${duplicate.source}.`,
+                data: `${leg.flightNumber}, ${leg.departure}, ${leg.arrival}, ${leg.aircraft}`
+            });
+            continue;
+        }
+        incoming.set(routeKey, { ...leg, routeKey });
+    }
+
+    const existingRoutes = await Route.find().lean();
+    const existingByKey = new Map(existingRoutes.map(r => [r.routeKey, r]));
+    const now = new Date();
+    const operations = [];
+    const added = [];
+    const changed = [];
+    const removed = [];
+
+    for (const [routeKey, leg] of incoming) {
+        const { source, sourceRow, ...routeData } = leg;
+        const previous = existingByKey.get(routeKey);
+        if (!previous) {
+            added.push(routeKey);
+            operations.push({ insertOne: { document: { ...routeData, source, lastSyncedAt: now } } });
+            continue;
+        }
+        const changes = trackedFields
+            .filter(f => previous[f] !== routeData[f])
+            .map(f => ({ field: f, from: previous[f], to: routeData[f] }));
+        if (changes.length > 0) changed.push({ routeKey, changes });
+        operations.push({ updateOne: { filter: { _id: previous._id }, update: { $set: { ...routeData, source, lastSyncedAt: now } } } });
+    }
+
+    const removalSkipped = failedSources.length > 0;
+    if (!removalSkipped) {
+        const staleRoutes = existingRoutes.filter(r => !incoming.has(r.routeKey));
+        if (staleRoutes.length > 0) {
+            removed.push(...staleRoutes.map(r => r.routeKey));
+            operations.push({ deleteMany: { filter: { _id: { $in: staleRoutes.map(r => r._id) } } } });
+        }
+    }
+
+    if (operations.length > 0) await Route.bulkWrite(operations, { ordered: false });
+
+    const report = new RouteSync({
+        triggeredBy,
+        totalRoutes: incoming.size,
+        added,
+        changed,
+        removed,
+        removalSkipped,
+        rejected,
+        failedSources
+    });
+    await report.save();
+
+    console.log(`Route sync complete: ${added.length} added, ${changed.length} changed, ${removed.length} removed, ${rejected.length} rejected.`);
+    return report;
+};
+
+// --- (UPGRADED) AUTOMATED ROSTER GENERATION LOGIC ---
+
+// Seedable PRNG (xmur3 string hash feeding mulberry32) so a generation run can be reproduced from its seed
+const createSeededRandom = (seed) => {
+    let h = 1779033703 ^ String(seed).length;
+    for (let i = 0; i < String(seed).length; i++) {
+        h = Math.imul(h ^ String(seed).charCodeAt(i), 3432918353);
+        h = (h << 13) | (h >>> 19);
+    }
+    h = Math.imul(h ^ (h >>> 16), 2246822507);
+    h = Math.imul(h ^ (h >>> 13), 3266489909);
+    let state = (h ^= h >>> 16) >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Groups aircraft strings into families so a roster can stay on one type rating
+const aircraftFamilies = [
+    ['Q400', /Q400|DH8D/],
+    ['A320', /A319|A320|A321/],
+    ['B737', /B73\d|737|B38M|B39M/],
+    ['A330', /A33\d|A330/],
+    ['A350', /A35\d|A350/],
+    ['A380', /A38\d|A380/],
+    ['B747', /B74\d|747/],
+    ['B777', /B77\d|777/],
+    ['B787', /B78\d|787/]
+];
+const getAircraftFamily = (acStr) => {
+    const s = String(acStr || '').toUpperCase();
+    const match = aircraftFamilies.find(([, pattern]) => pattern.test(s));
+    return match ? match[0] : s.trim();
+};
+
+const defaultGenerationConfig = {
+    seed: null,                  // Any string or number; a random seed is chosen (and reported) when omitted
+    minLegs: 2,
+    maxLegs: 4,
+    minBlockHours: 0,
+    maxBlockHours: MAX_DAILY_FLIGHT_HOURS,
+    returnToHub: false,          // Only accept closed loops that finish where they started
+    sameAircraftFamily: false,   // Every leg must share one aircraft family (see getAircraftFamily)
+    exclusive: false,            // Generated rosters can only be flown by one pilot at a time
+    // Ground time budgeted between legs when checking maxDutyHours. Routes carry no schedule times, so actual
+    // turnarounds can't be measured or enforced; this only makes rosters with many legs count longer duties.
+    plannedGroundMinutes: 0,
+    maxDutyHours: MAX_DUTY_PERIOD / (60 * 60 * 1000),
+    hubs: [],                    // Departure airports to build rosters from; empty means every airport with routes
+    rostersPerHub: 3,
+    hubQuotas: {},               // Per-hub overrides of rostersPerHub, e.g. { "VIDP": 6 }
+    attemptsPerRoster: 25
+};
+
+// Upper bounds on the settings that drive how much work buildRosters does; it runs synchronously in the request
+const generationLimits = { maxLegs: 12, rostersPerHub: 50, attemptsPerRoster: 200 };
+
+// Validates a (partial) generation config and merges it over the defaults.
+// Returns { config } on success or { error } describing the first invalid setting.
+const normalizeGenerationConfig = (rawInput = {}) => {
+    const config = { ...defaultGenerationConfig };
+    // Profiles saved before the rename still use minTurnaroundMinutes
+    const { minTurnaroundMinutes, ...input } = rawInput;
+    if (input.plannedGroundMinutes === undefined && minTurnaroundMinutes !== undefined) input.plannedGroundMinutes = minTurnaroundMinutes;
+    const numericKeys = ['minLegs', 'maxLegs', 'minBlockHours', 'maxBlockHours', 'plannedGroundMinutes', 'maxDutyHours', 'rostersPerHub', 'attemptsPerRoster'];
+    for (const key of numericKeys) {
+        if (input[key] === undefined || input[key] === null || input[key] === '') continue;
+        const value = Number(input[key]);
+        if (!Number.isFinite(value) || value < 0) return { error: `${key} must be a non-negative number.` };
+        if (generationLimits[key] !== undefined && value > generationLimits[key]) return { error: `${key} cannot be more than ${generationLimits[key]}.` };
+        config[key] = value;
+    }
+    for (const key of ['returnToHub', 'sameAircraftFamily', 'exclusive']) {
+        if (input[key] !== undefined) config[key] = input[key] === true || input[key] === 'true';
+    }
+    if (input.seed !== undefined && input.seed !== null && input.seed !== '') config.seed = String(input.seed);
+    if (input.hubs !== undefined) {
+        if (!Array.isArray(input.hubs)) return { error: 'hubs must be an array of ICAO codes.' };
+        config.hubs = input.hubs.map(h => String(h).toUpperCase().trim()).filter(Boolean);
+    }
+    if (input.hubQuotas !== undefined) {
+        if (!input.hubQuotas || typeof input.hubQuotas !== 'object' || Array.isArray(input.hubQuotas)) return { error: 'hubQuotas must map ICAO codes to roster counts.' };
+        config.hubQuotas = {};
+        for (const [hub, quota] of Object.entries(input.hubQuotas)) {
+            const value = Number(quota);
+            if (!Number.isInteger(value) || value < 0) return { error: `Quota for ${hub} must be a non-negative whole number.` };
+            if (value > generationLimits.rostersPerHub) return { error: `Quota for ${hub} cannot be more than ${generationLimits.rostersPerHub}.` };
+            config.hubQuotas[hub.toUpperCase().trim()] = value;
+        }
     }
 
-    const legsByDeparture = allLegs.reduce((acc, leg) => {
+    config.minLegs = Math.floor(config.minLegs);
+    config.maxLegs = Math.floor(config.maxLegs);
+    config.rostersPerHub = Math.floor(config.rostersPerHub);
+    config.attemptsPerRoster = Math.max(1, Math.floor(config.attemptsPerRoster));
+    if (config.minLegs < 1) return { error: 'minLegs must be at least 1.' };
+    if (config.maxLegs < config.minLegs) return { error: 'maxLegs must be greater than or equal to minLegs.' };
+    if (config.returnToHub && config.maxLegs < 2) return { error: 'Closed loops need maxLegs of at least 2.' };
+    if (config.maxBlockHours < config.minBlockHours) return { error: 'maxBlockHours must be greater than or equal to minBlockHours.' };
+    return { config };
+};
+
+// Builds roster documents (not yet saved) from the stored routes according to a normalized config.
+// Given the same routes and the same seed, the output is identical.
+const buildRosters = (routes, config) => {
+    const random = createSeededRandom(config.seed);
+    const pick = (items) => items[Math.floor(random() * items.length)];
+    const groundHours = config.plannedGroundMinutes / 60;
+
+    // Stable ordering so the seed alone determines the result
+    const sortedRoutes = [...routes].sort((a, b) => (a.routeKey || '').localeCompare(b.routeKey || ''));
+    const legsByDeparture = sortedRoutes.reduce((acc, leg) => {
         if (!acc[leg.departure]) acc[leg.departure] = [];
         acc[leg.departure].push(leg);
         return acc;
     }, {});
 
+    const hubs = config.hubs.length > 0 ? config.hubs : Object.keys(legsByDeparture).sort();
+
+    // One attempt at a roster from the hub; returns the legs or null if the constraints could not be met
+    const tryBuildRoster = (hub) => {
+        const targetLegs = config.minLegs + Math.floor(random() * (config.maxLegs - config.minLegs + 1));
+        const rosterLegs = [];
+        const usedFlightNumbers = new Set();
+        let currentAirport = hub;
+        let blockTime = 0;
+        let family = null;
+
+        for (let j = 0; j < targetLegs; j++) {
+            const isFinalLeg = j === targetLegs - 1;
+            // Adding a leg to n legs adds its flight time and the n-th ground stop before it
+            const plannedDuty = blockTime + (rosterLegs.length * groundHours);
+            const candidates = (legsByDeparture[currentAirport] || []).filter(l =>
+                !usedFlightNumbers.has(l.flightNumber) &&
+                (!config.sameAircraftFamily || family === null || getAircraftFamily(l.aircraft) === family) &&
+                (blockTime + l.flightTime) <= config.maxBlockHours &&
+                (plannedDuty + l.flightTime) <= config.maxDutyHours &&
+                (!config.returnToHub || !isFinalLeg || l.arrival === hub)
+            );
+            if (candidates.length === 0) break;
+
+            const nextLeg = pick(candidates);
+            rosterLegs.push(nextLeg);
+            blockTime += nextLeg.flightTime;
+            currentAirport = nextLeg.arrival;
+            usedFlightNumbers.add(nextLeg.flightNumber);
+            if (family === null) family = getAircraftFamily(nextLeg.aircraft);
+        }
+
+        if (rosterLegs.length < config.minLegs) return null;
+        if (config.returnToHub && (rosterLegs.length !== targetLegs || currentAirport !== hub)) return null;
+        if (blockTime < config.minBlockHours) return null;
+        return { legs: rosterLegs, blockTime };
+    };
+
     const generatedRosters = [];
-    
-    // Get a list of all unique departure airports found in the spreadsheets.
-    const allDepartureAirports = Object.keys(legsByDeparture);
-    console.log(`Found ${allDepartureAirports.length} unique departure airports for roster generation.`);
-
-    // Loop through every airport that has outgoing flights, not just the hubs.
-    for (const departureAirport of allDepartureAirports) {
-        if (!legsByDeparture[departureAirport]) continue;
-
-        // Generate up to 3 rosters for each location to avoid over-generation.
-        const rosterCountPerAirport = 3; 
-        for (let i = 0; i < rosterCountPerAirport; i++) {
-            const rosterLegs = [];
-            let currentAirport = departureAirport;
-            let totalTime = 0;
-            const usedFlightNumbers = new Set();
-            const legCount = Math.floor(Math.random() * 3) + 2; // Create rosters with 2 to 4 legs
-
-            for (let j = 0; j < legCount; j++) {
-                const possibleNextLegs = (legsByDeparture[currentAirport] || []).filter(
-                    l => !usedFlightNumbers.has(l.flightNumber)
-                );
-                if (possibleNextLegs.length === 0) break;
-
-                const nextLeg = possibleNextLegs[Math.floor(Math.random() * possibleNextLegs.length)];
-                if ((totalTime + nextLeg.flightTime) > MAX_DAILY_FLIGHT_HOURS) break;
-
-                rosterLegs.push(nextLeg);
-                totalTime += nextLeg.flightTime;
-                currentAirport = nextLeg.arrival;
-                usedFlightNumbers.add(nextLeg.flightNumber);
-            }
+    for (const hub of hubs) {
+        if (!legsByDeparture[hub]) continue;
+        const quota = config.hubQuotas[hub] !== undefined ? config.hubQuotas[hub] : config.rostersPerHub;
+        const seenSequences = new Set();
+
+        for (let i = 0; i < quota; i++) {
+            for (let attempt = 0; attempt < config.attemptsPerRoster; attempt++) {
+                const result = tryBuildRoster(hub);
+                if (!result) continue;
+                const sequence = result.legs.map(l => l.flightNumber).join('>');
+                if (seenSequences.has(sequence)) continue;
+                seenSequences.add(sequence);
 
-            if (rosterLegs.length >= 2) {
                 // Generates a random multiplier between 1.10 and 1.50
-                const randomMultiplier = parseFloat((1.1 + Math.random() * 0.4).toFixed(2));
-                
+                const randomMultiplier = parseFloat((1.1 + random() * 0.4).toFixed(2));
                 generatedRosters.push({
-                    name: `${departureAirport} Sector Duty #${i + 1}`,
-                    hub: departureAirport,
-                    legs: rosterLegs,
-                    totalFlightTime: totalTime,
+                    name: `${hub} ${config.returnToHub ? 'Loop' : 'Sector'} Duty #${seenSequences.size}`,
+                    hub,
+                    legs: result.legs.map(({ flightNumber, departure, arrival, aircraft, flightTime }) => ({ flightNumber, departure, arrival, aircraft, flightTime })),
+                    totalFlightTime: result.blockTime,
                     multiplier: randomMultiplier,
                     isGenerated: true,
                     isAvailable: true,
+                    isExclusive: config.exclusive,
+                    generation: { profile: config.profileName || null, seed: config.seed }
                 });
+                break;
             }
         }
     }
+    return generatedRosters;
+};
 
-    if (generatedRosters.length > 0) {
-        await Roster.deleteMany({ isGenerated: true });
-        await Roster.insertMany(generatedRosters);
-        console.log(`Successfully generated and saved ${generatedRosters.length} new rosters.`);
-    }
-    return { created: generatedRosters.length, legsFound: allLegs.length };
+// Identity of a roster for diffing: same hub and same sequence of flights
+const rosterSignature = (roster) => `${roster.hub}|${roster.legs.map(l => l.flightNumber).join('>')}`;
+
+// IDs of rosters that must never be removed: someone is flying or has reserved them, or a PIREP against them is awaiting review
+const getProtectedRosterIds = async () => {
+    const [onDuty, pending, reserved] = await Promise.all([
+        User.distinct('currentRoster', { currentRoster: { $ne: null } }),
+        Pirep.distinct('rosterLeg.rosterId', { status: { $in: openPirepStatuses }, 'rosterLeg.rosterId': { $ne: null } }),
+        RosterReservation.distinct('roster', { status: 'ACTIVE', expiresAt: { $gt: new Date() } })
+    ]);
+    return new Set([...onDuty, ...pending, ...reserved].map(String));
 };
 
-// Rank Promotion Helper
-const checkAndApplyRankUpdate = (pilot) => {
-    const currentHours = pilot.flightHours;
-    const currentRank = pilot.rank;
-    let newRank = currentRank;
-    for (let i = pilotRanks.length - 1; i >= 0; i--) {
-        const rankName = pilotRanks[i];
-        if (currentHours >= rankThresholds[rankName]) {
-            newRank = rankName;
-            break;
-        }
-    }
-    if (newRank !== currentRank) {
-        pilot.rank = newRank;
-        return { promoted: true, rank: newRank };
-    }
-    return { promoted: false };
+// Compares proposed rosters with the current generated set without writing anything
+const diffGeneratedRosters = async (proposedRosters) => {
+    const currentRosters = await Roster.find({ isGenerated: true }).lean();
+    const protectedIds = await getProtectedRosterIds();
+    const proposedSignatures = new Set(proposedRosters.map(rosterSignature));
+    const currentBySignature = new Map(currentRosters.map(r => [rosterSignature(r), r]));
+
+    const summarize = (r) => ({ _id: r._id, name: r.name, hub: r.hub, flights: r.legs.map(l => l.flightNumber), totalFlightTime: r.totalFlightTime });
+    const added = proposedRosters.filter(r => !currentBySignature.has(rosterSignature(r)));
+    const unchanged = currentRosters.filter(r => proposedSignatures.has(rosterSignature(r)));
+    const outgoing = currentRosters.filter(r => !proposedSignatures.has(rosterSignature(r)));
+
+    return {
+        added: added.map(summarize),
+        unchanged: unchanged.map(summarize),
+        removed: outgoing.filter(r => !protectedIds.has(String(r._id))).map(summarize),
+        kept: outgoing.filter(r => protectedIds.has(String(r._id))).map(summarize) // Outgoing but in use, so retained
+    };
 };
 
-// Simple callsign validator
-const isValidCallsign = cs => /^[A-Z0-9-]{2,15}$/.test(cs);
+// Loads the stored routes and builds a roster set without saving it
+const previewRosterGeneration = async (config) => {
+    console.log('Starting automated roster generation from the route database...');
 
-// Auth & Role Middlewares
-const authMiddleware = (req, res, next) => {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
-    if (!token) return res.status(401).json({ message: 'Access denied. No token provided.' });
-    try {
-        req.user = jwt.verify(token, process.env.JWT_SECRET);
-        next();
-    } catch (ex) {
-        res.status(400).json({ message: 'Invalid token.' });
+    const allLegs = await Route.find()
+        .select('-_id routeKey flightNumber departure arrival aircraft flightTime rankUnlock operator')
+        .lean();
+    console.log(`Total available legs for roster generation: ${allLegs.length}`);
+
+    if (allLegs.length === 0) {
+        console.warn('No routes stored. Run a route sync before generating rosters.');
+        return { rosters: [], legsFound: 0 };
     }
+    return { rosters: buildRosters(allLegs, config), legsFound: allLegs.length };
 };
 
-const hasRole = (allowedRoles) => (req, res, next) => {
-    if (req.user && allowedRoles.includes(req.user.role)) {
-        next();
-    } else {
-        res.status(403).json({ message: 'Access denied. You do not have the required permissions.' });
+// Replaces the current generated set with the proposed rosters. Rosters present in both are left
+// untouched (same ID and multiplier); outgoing rosters that are in use are retired instead of deleted
+// so they stay valid for the pilot flying them but are no longer offered to anyone else.
+const applyGeneratedRosters = async (proposedRosters) => {
+    const diff = await diffGeneratedRosters(proposedRosters);
+    const addedSignatures = new Set(diff.added.map(r => `${r.hub}|${r.flights.join('>')}`));
+    const toInsert = proposedRosters.filter(r => addedSignatures.has(rosterSignature(r)));
+
+    if (diff.removed.length > 0) await Roster.deleteMany({ _id: { $in: diff.removed.map(r => r._id) } });
+    if (diff.kept.length > 0) await Roster.updateMany({ _id: { $in: diff.kept.map(r => r._id) } }, { isAvailable: false });
+    if (diff.unchanged.length > 0) await Roster.updateMany({ _id: { $in: diff.unchanged.map(r => r._id) } }, { isAvailable: true });
+    if (toInsert.length > 0) await Roster.insertMany(toInsert);
+
+    console.log(`Applied generated rosters: ${diff.added.length} added, ${diff.unchanged.length} unchanged, ${diff.removed.length} removed, ${diff.kept.length} retained because they are in use.`);
+    return diff;
+};
+
+// Resolves the generation config for a request: defaults < saved profile < per-request overrides.
+// Always fills in a seed so the run can be reproduced.
+const resolveGenerationConfig = async ({ profileId, ...overrides } = {}) => {
+    let profile = null;
+    if (profileId) {
+        if (!mongoose.isValidObjectId(profileId)) return { error: 'Invalid generation profile ID.' };
+        profile = await GenerationProfile.findById(profileId).lean();
+        if (!profile) return { error: 'Generation profile not found.', status: 404 };
     }
+    const { config, error } = normalizeGenerationConfig({ ...(profile?.config || {}), ...overrides });
+    if (error) return { error };
+    if (!config.seed) config.seed = crypto.randomBytes(6).toString('hex');
+    config.profileName = profile ? profile.name : null;
+    return { config };
 };
 
-const isAdmin = hasRole(['admin']);
-const isCommunityManager = hasRole(['admin', 'Chief Executive Officer (CEO)', 'Chief Operating Officer (COO)', 'Chief Marketing Officer (CMO)', 'Events Manager (EM)']);
-const isPilotManager = hasRole(['admin', 'Chief Executive Officer (CEO)', 'Chief Operating Officer (COO)', 'Head of Training (COT)']);
-const isPirepManager = hasRole(['admin', 'Chief Executive Officer (CEO)', 'Chief Operating Officer (COO)', 'PIREP Manager (PM)']);
-const isRouteManager = hasRole(['admin', 'Chief Executive Officer (CEO)', 'Chief Operating Officer (COO)', 'Route Manager (RM)']);
+// --- FTPL Engine ---
+
+// Computes the pilot's flight-time limits from their PIREP history over each rolling window,
+// plus rest and duty-period status. Each limit includes when allowance next frees up, and
+// availableAtFor(hours) answers "when could I fly this many hours?".
+const computeFtplStatus = async (user, now = new Date()) => {
+    const longestWindow = Math.max(...FTPL_WINDOWS.map(w => w.windowMs));
+    const flights = await Pirep.find({
+        pilot: user._id,
+        status: { $in: countedPirepStatuses },
+        source: { $ne: 'IMPORT' },
+        createdAt: { $gt: new Date(now - longestWindow) }
+    }).select('flightTime createdAt').sort({ createdAt: 1 }).lean();
+
+    const limits = FTPL_WINDOWS.map(({ key, label, windowMs, maxHours }) => {
+        const inWindow = flights.filter(f => f.createdAt > new Date(now - windowMs));
+        const usedHours = inWindow.reduce((sum, f) => sum + f.flightTime, 0);
+        const oldest = inWindow[0];
+
+        // Walk the window oldest-first: each flight frees its hours when it ages out
+        const availableAtFor = (hours) => {
+            if (hours > maxHours) return null;
+            let remaining = usedHours;
+            if (remaining + hours <= maxHours) return now;
+            for (const flight of inWindow) {
+                remaining -= flight.flightTime;
+                if (remaining + hours <= maxHours) return new Date(flight.createdAt.getTime() + windowMs);
+            }
+            return now;
+        };
+
+        return {
+            key,
+            label,
+            windowHours: windowMs / HOUR_MS,
+            maxHours,
+            usedHours,
+            remainingHours: Math.max(maxHours - usedHours, 0),
+            nextReleaseAt: oldest ? new Date(oldest.createdAt.getTime() + windowMs) : null,
+            nextReleaseHours: oldest ? oldest.flightTime : 0,
+            availableAtFor
+        };
+    });
+
+    const restUntil = user.lastDutyOff ? new Date(new Date(user.lastDutyOff).getTime() + MIN_REST_PERIOD) : null;
+    const dutyMustEndBy = user.dutyStatus === 'ON_DUTY' && user.lastDutyStart
+        ? new Date(new Date(user.lastDutyStart).getTime() + MAX_DUTY_PERIOD)
+        : null;
+
+    return {
+        limits,
+        rest: { minRestHours: MIN_REST_PERIOD / HOUR_MS, lastDutyOff: user.lastDutyOff, restUntil, isRested: !restUntil || restUntil <= now },
+        duty: { maxDutyHours: MAX_DUTY_PERIOD / HOUR_MS, status: user.dutyStatus, dutyStart: user.lastDutyStart, dutyMustEndBy }
+    };
+};
+
+// --- Duty Helpers ---
+
+// Takes the pilot off duty and records the duty in the DutyLog. `timedOut` is set by the background
+// sweep for duties that ran past MAX_DUTY_PERIOD; those are flagged for staff review.
+// The caller must pass the user document with currentRoster populated. Returns the duty log and any
+// badges the completed duty earned (roster achievements count completed duties).
+const closeDuty = async (user, { timedOut = false } = {}) => {
+    const roster = user.currentRoster;
+    const endedAt = new Date();
+
+    // Duties started before duty logging existed have no ACTIVE log, so one is created on close
+    let dutyLog = await DutyLog.findOne({ pilot: user._id, status: 'ACTIVE' });
+    if (!dutyLog) {
+        dutyLog = new DutyLog({
+            pilot: user._id,
+            roster: roster?._id || null,
+            rosterName: roster?.name || '',
+            startedAt: user.lastDutyStart || endedAt,
+            legsPlanned: roster?.legs?.length || 0
+        });
+    }
+
+    const pireps = roster ? await Pirep.find({
+        pilot: user._id,
+        'rosterLeg.rosterId': roster._id,
+        createdAt: { $gte: dutyLog.startedAt }
+    }).select('flightNumber arrival status createdAt').sort({ createdAt: 1 }).lean() : [];
+    const flown = pireps.filter(p => countedPirepStatuses.includes(p.status));
+    const legsFlown = [...new Set(flown.map(p => p.flightNumber.toUpperCase()))];
+    const allLegsFlown = roster && legsFlown.length >= roster.legs.length;
+
+    const finalLeg = roster?.legs?.[roster.legs.length - 1];
+    const finalAirport = allLegsFlown && finalLeg
+        ? finalLeg.arrival
+        : (flown.length > 0 ? flown[flown.length - 1].arrival : (roster?.legs?.[0]?.departure || user.lastKnownAirport));
+
+    dutyLog.endedAt = endedAt;
+    dutyLog.endedBy = timedOut ? 'SYSTEM' : 'PILOT';
+    dutyLog.status = timedOut ? 'TIMED_OUT' : (allLegsFlown ? 'COMPLETED' : 'INCOMPLETE');
+    dutyLog.legsFlown = legsFlown;
+    dutyLog.pireps = pireps.map(p => p._id);
+    dutyLog.finalAirport = finalAirport;
+    if (timedOut) {
+        dutyLog.flaggedForReview = true;
+        dutyLog.flagReason = `Duty was not ended within the ${MAX_DUTY_PERIOD / HOUR_MS}-hour maximum duty period and was closed automatically (${legsFlown.length}/${dutyLog.legsPlanned} legs filed).`;
+    }
+    await dutyLog.save();
+
+    if (roster?.isExclusive) {
+        await Roster.updateOne({ _id: roster._id, inUseBy: user._id }, { inUseBy: null });
+    }
+
+    user.lastDutyAirport = finalAirport;
+    user.dutyStatus = 'ON_REST';
+    user.currentRoster = null;
+    user.lastDutyOff = endedAt;
+    user.lastDutyStart = null;
+    await user.save();
+
+    const badgesAwarded = dutyLog.status === 'COMPLETED' ? await awardAchievements(user._id) : [];
+    return { dutyLog, badgesAwarded };
+};
+
+// Closes every duty that has run past MAX_DUTY_PERIOD
+const timeOutExpiredDuties = async () => {
+    const overdue = await User.find({
+        dutyStatus: 'ON_DUTY',
+        lastDutyStart: { $lte: new Date(Date.now() - MAX_DUTY_PERIOD) }
+    }).populate('currentRoster');
+    for (const user of overdue) {
+        try {
+            await closeDuty(user, { timedOut: true });
+            console.log(`Duty for ${user.email} timed out and was closed automatically.`);
+        } catch (error) {
+            console.error(`Failed to time out duty for ${user.email}:`, error);
+        }
+    }
+    return overdue.length;
+};
+
+// --- Roster Reservation Helpers ---
+
+// Marks reservations whose window has passed as EXPIRED, releasing the roster for other pilots
+const expireStaleReservations = async () => {
+    const result = await RosterReservation.updateMany(
+        { status: 'ACTIVE', expiresAt: { $lte: new Date() } },
+        { status: 'EXPIRED', closedAt: Date.now() }
+    );
+    return result.modifiedCount;
+};
+
+// IDs of rosters a pilot cannot currently pick: reserved by someone else, or exclusive and being flown by someone else
+const getUnavailableRosterIds = async (userId) => {
+    const [reserved, inUse] = await Promise.all([
+        RosterReservation.distinct('roster', { status: 'ACTIVE', expiresAt: { $gt: new Date() }, pilot: { $ne: userId } }),
+        Roster.distinct('_id', { isExclusive: true, inUseBy: { $nin: [null, userId] } })
+    ]);
+    return [...reserved, ...inUse];
+};
+
+// Rank Promotion Helper
+const checkAndApplyRankUpdate = (pilot) => {
+    const currentHours = pilot.flightHours;
+    const currentRank = pilot.rank;
+    let newRank = currentRank;
+    for (let i = pilotRanks.length - 1; i >= 0; i--) {
+        const rankName = pilotRanks[i];
+        if (currentHours >= rankThresholds[rankName]) {
+            newRank = rankName;
+            break;
+        }
+    }
+    if (newRank !== currentRank) {
+        pilot.rank = newRank;
+        const promoted = rankIndex(newRank) > rankIndex(currentRank);
+        return { promoted, demoted: !promoted, rank: newRank, previousRank: currentRank };
+    }
+    return { promoted: false, demoted: false };
+};
+
+// Where a pilot stands between their current rank and the next one, by flight hours
+const buildRankProgress = (pilot) => {
+    const index = rankIndex(pilot.rank);
+    const nextRank = index >= 0 && index < pilotRanks.length - 1 ? pilotRanks[index + 1] : null;
+    const currentThreshold = rankThresholds[pilot.rank] ?? 0;
+    if (!nextRank) return { rank: pilot.rank, nextRank: null, currentThreshold, nextThreshold: null, hoursToNext: 0, percent: 100 };
+    const nextThreshold = rankThresholds[nextRank];
+    const percent = ((pilot.flightHours - currentThreshold) / (nextThreshold - currentThreshold)) * 100;
+    return {
+        rank: pilot.rank,
+        nextRank,
+        currentThreshold,
+        nextThreshold,
+        hoursToNext: Math.round(Math.max(nextThreshold - pilot.flightHours, 0) * 100) / 100,
+        percent: Math.round(Math.min(Math.max(percent, 0), 100) * 10) / 10
+    };
+};
+
+// --- Airport Data & PIREP Plausibility Checks ---
+
+// airports.json is read once and indexed by ICAO. Both an object keyed by ICAO and an array of
+// airport records are accepted, with lat/lon under any of their common names.
+let airportCache = null;
+const loadAirports = async () => {
+    if (airportCache) return airportCache;
+    const data = JSON.parse(await fs.readFile(path.join(__dirname, 'airports.json'), 'utf8'));
+    const records = Array.isArray(data) ? data : Object.entries(data).map(([key, value]) => ({ icao: key, ...value }));
+    const byIcao = new Map();
+    for (const record of records) {
+        const icao = String(record.icao || record.ICAO || record.ident || record.gps_code || '').toUpperCase().trim();
+        const lat = parseFloat(record.lat ?? record.latitude ?? record.latitude_deg);
+        const lon = parseFloat(record.lon ?? record.lng ?? record.longitude ?? record.longitude_deg);
+        if (icao && Number.isFinite(lat) && Number.isFinite(lon)) byIcao.set(icao, { ...record, icao, lat, lon });
+    }
+    airportCache = { raw: data, byIcao };
+    return airportCache;
+};
+
+// Great-circle distance in nautical miles (haversine)
+const greatCircleDistanceNm = (from, to) => {
+    const toRad = (deg) => deg * Math.PI / 180;
+    const dLat = toRad(to.lat - from.lat);
+    const dLon = toRad(to.lon - from.lon);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(from.lat)) * Math.cos(toRad(to.lat)) * Math.sin(dLon / 2) ** 2;
+    return 2 * 3440.065 * Math.asin(Math.sqrt(a));
+};
+
+// Plausible average block speeds (knots) per aircraft family; block time includes taxi, so the floor is generous
+const aircraftSpeedRanges = {
+    Q400: { min: 150, max: 380 },
+    A320: { min: 200, max: 500 },
+    B737: { min: 200, max: 500 },
+    A330: { min: 240, max: 540 },
+    A350: { min: 250, max: 560 },
+    A380: { min: 250, max: 560 },
+    B747: { min: 250, max: 560 },
+    B777: { min: 250, max: 560 },
+    B787: { min: 250, max: 560 }
+};
+const defaultSpeedRange = { min: 150, max: 600 };
+const SHORT_HOP_NM = 150; // Below this, taxi time dominates and slow block speeds are expected
+
+const riskFlagWeights = {
+    UNKNOWN_AIRPORT: 40,
+    SAME_AIRPORT: 30,
+    SPEED_TOO_HIGH: 40,
+    SPEED_TOO_LOW: 20,
+    DEPARTURE_MISMATCH: 25,
+    DUPLICATE: 50,
+    OVERLAP: 35
+};
+
+// Scores a PIREP for review. Nothing here blocks a submission; the flags and a 0-100 score are
+// stored on the PIREP so reviewers can sort the pending queue by risk.
+const assessPirepPlausibility = async ({ pilot, flightNumber, departure, arrival, aircraft, flightTime, filedAt = new Date(), excludeId = null }) => {
+    const riskFlags = [];
+    const flag = (code, message) => riskFlags.push({ code, message, weight: riskFlagWeights[code] });
+
+    let distanceNm = null;
+    let impliedSpeedKts = null;
+    try {
+        const { byIcao } = await loadAirports();
+        const from = byIcao.get(departure);
+        const to = byIcao.get(arrival);
+        if (!from) flag('UNKNOWN_AIRPORT', `Departure ${departure} is not in the airport database.`);
+        if (!to) flag('UNKNOWN_AIRPORT', `Arrival ${arrival} is not in the airport database.`);
+        if (from && to) {
+            distanceNm = Math.round(greatCircleDistanceNm(from, to));
+            impliedSpeedKts = Math.round(distanceNm / flightTime);
+            const range = aircraftSpeedRanges[getAircraftFamily(aircraft)] || defaultSpeedRange;
+            if (impliedSpeedKts > range.max) {
+                flag('SPEED_TOO_HIGH', `${distanceNm} nm in ${flightTime} h implies ${impliedSpeedKts} kts, above the ${range.max} kts expected for ${aircraft}.`);
+            } else if (distanceNm >= SHORT_HOP_NM && impliedSpeedKts < range.min) {
+                flag('SPEED_TOO_LOW', `${distanceNm} nm in ${flightTime} h implies ${impliedSpeedKts} kts, below the ${range.min} kts expected for ${aircraft}.`);
+            }
+        }
+    } catch (error) {
+        console.error('Could not load airport data for plausibility checks:', error.message);
+    }
+    if (departure === arrival) flag('SAME_AIRPORT', 'Departure and arrival are the same airport.');
+
+    const otherFlights = await Pirep.find({
+        pilot: pilot._id,
+        _id: { $ne: excludeId },
+        status: { $in: countedPirepStatuses },
+        source: { $ne: 'IMPORT' },
+        createdAt: { $gt: new Date(filedAt - 7 * 24 * HOUR_MS) }
+    }).select('flightNumber departure arrival flightTime createdAt').sort({ createdAt: -1 }).lean();
+
+    // Where the pilot should be: arrival of their latest flight filed before this one, else their last approved location
+    const previousFlight = otherFlights.find(f => f.createdAt <= filedAt);
+    const expectedDeparture = previousFlight ? previousFlight.arrival : pilot.lastKnownAirport;
+    if (expectedDeparture && expectedDeparture !== departure) {
+        flag('DEPARTURE_MISMATCH', `Departure ${departure} does not match the pilot's last known location ${expectedDeparture}.`);
+    }
+
+    // Each flight is treated as occupying the flightTime hours before it was filed
+    const start = filedAt.getTime() - flightTime * HOUR_MS;
+    for (const other of otherFlights) {
+        const otherEnd = new Date(other.createdAt).getTime();
+        const otherStart = otherEnd - other.flightTime * HOUR_MS;
+        const isSameFlight = other.flightNumber.toUpperCase() === String(flightNumber).toUpperCase() &&
+            other.departure === departure && other.arrival === arrival;
+        if (isSameFlight && Math.abs(otherEnd - filedAt.getTime()) < 24 * HOUR_MS) {
+            flag('DUPLICATE', `Same flight (${other.flightNumber} ${other.departure}-${other.arrival}) was already filed on ${other.createdAt.toISOString()}.`);
+        } else if (otherStart < filedAt.getTime() && start < otherEnd) {
+            flag('OVERLAP', `Overlaps with ${other.flightNumber} ${other.departure}-${other.arrival} filed on ${other.createdAt.toISOString()}.`);
+        }
+    }
+
+    const riskScore = Math.min(100, riskFlags.reduce((sum, f) => sum + f.weight, 0));
+    return { riskFlags, riskScore, distanceNm, impliedSpeedKts };
+};
+
+// --- Transactions & Hour Ledger ---
+
+// Runs `work(session)` inside a MongoDB transaction. Standalone MongoDB servers (e.g. local development)
+// don't support transactions; there we fall back to running without a session, relying on the
+// conditional status updates in the review helpers to stay race-safe.
+let transactionsSupported = true;
+const withTransaction = async (work) => {
+    if (transactionsSupported) {
+        try {
+            return await mongoose.connection.transaction(work);
+        } catch (error) {
+            if (error?.code !== 20 && !/Transaction numbers are only allowed/.test(error?.message || '')) throw error;
+            transactionsSupported = false;
+            console.warn('MongoDB deployment does not support transactions; falling back to conditional updates.');
+        }
+    }
+    return work(null);
+};
+
+// Appends an entry to the pilot's hour ledger. `pilot` must reflect the balance after the change.
+// The first entry for a pilot who had hours before the ledger existed is preceded by an opening balance,
+// so summing a pilot's ledger always reproduces their flightHours. A `breakdown` of { amount, pirep, note }
+// parts summing to `amount` records one entry per part instead, e.g. one per imported flight.
+const recordHourTransaction = async ({ pilot, amount, type, pirep = null, multiplier = null, createdBy = null, note = null, breakdown = null }, session = null) => {
+    const entries = [];
+    const hasLedger = await HourTransaction.exists({ pilot: pilot._id }).session(session);
+    if (!hasLedger) {
+        const openingBalance = pilot.flightHours - amount;
+        if (openingBalance !== 0) {
+            entries.push({
+                pilot: pilot._id, amount: openingBalance, type: 'OPENING_BALANCE', balanceAfter: openingBalance,
+                note: 'Hours credited before the hour ledger existed.'
+            });
+        }
+    }
+    const parts = breakdown || [{ amount, pirep, note }];
+    let balance = pilot.flightHours - amount;
+    parts.forEach((part, index) => {
+        balance = index === parts.length - 1 ? pilot.flightHours : round2(balance + part.amount);
+        entries.push({
+            pilot: pilot._id, amount: part.amount, type, pirep: part.pirep ?? null, multiplier,
+            balanceAfter: balance, createdBy, note: part.note ?? note
+        });
+    });
+    await HourTransaction.insertMany(entries, { session });
+};
+
+// Applies an hour change to a pilot atomically ($inc), re-evaluates their rank and records it in the ledger.
+// `extraUpdate` is merged into the same user update (e.g. a new lastKnownAirport).
+const adjustPilotHours = async ({ pilotId, amount, type, pirep = null, multiplier = null, createdBy = null, note = null, breakdown = null, extraUpdate = {} }, session = null) => {
+    const pilot = await User.findByIdAndUpdate(
+        pilotId,
+        { $inc: { flightHours: amount }, $set: extraUpdate },
+        { new: true, session }
+    );
+    if (!pilot) return null;
+    const rankResult = checkAndApplyRankUpdate(pilot);
+    if (rankResult.promoted || rankResult.demoted) {
+        await User.updateOne({ _id: pilot._id }, { rank: pilot.rank }, { session });
+    }
+    await recordHourTransaction({ pilot, amount, type, pirep, multiplier, createdBy, note, breakdown }, session);
+    return { pilot, rankResult };
+};
+
+const syncPilotToSheet = (pilot) => {
+    if (pilot?.callsign) {
+        updateGoogleSheet({ callsign: pilot.callsign, name: pilot.name, rank: pilot.rank, flightHours: pilot.flightHours });
+    }
+};
+
+// --- Event RSVPs ---
+// Number of slots an event offers, or null when it is unlimited
+const eventCapacity = (event) => {
+    const gateCount = event.gates?.length || 0;
+    if (gateCount > 0) return Math.min(event.capacity ?? gateCount, gateCount);
+    return event.capacity ?? null;
+};
+
+// Reasons a pilot may not join an event's group flight, following the roster leg rank rules; null if they may
+const eventEligibilityError = (event, pilot, aircraft) => {
+    if (event.minimumRank && !canFlyLeg(pilot.rank, event.minimumRank)) {
+        return `This event requires ${event.minimumRank}, which is above your rank (${pilot.rank}).`;
+    }
+    if (event.allowedAircraft?.length > 0) {
+        if (!aircraft) return `Choose an aircraft for this event: ${event.allowedAircraft.join(', ')}.`;
+        if (!event.allowedAircraft.includes(aircraft)) return `This event is restricted to: ${event.allowedAircraft.join(', ')}.`;
+    }
+    if (aircraft) {
+        const neededRank = deduceRankFromAircraft(aircraft);
+        if (!canFlyLeg(pilot.rank, neededRank)) return `The ${aircraft} requires ${neededRank}, which is above your rank (${pilot.rank}).`;
+    }
+    return null;
+};
+
+// Gives a waitlisted RSVP the lowest free slot, with its gate and departure time. Returns the confirmed RSVP,
+// null when the event is full, or false when the RSVP is no longer waitlisted (another promotion confirmed it,
+// or the pilot cancelled). The unique slot index settles races; a collision just tries the next slot.
+const assignEventSlot = async (event, rsvpId) => {
+    const capacity = eventCapacity(event);
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const taken = new Set(await EventRsvp.distinct('slotNumber', { event: event._id, status: 'CONFIRMED' }));
+        let slotNumber = 1;
+        while (taken.has(slotNumber)) slotNumber++;
+        if (capacity !== null && slotNumber > capacity) return null;
+        try {
+            const confirmed = await EventRsvp.findOneAndUpdate({ _id: rsvpId, status: 'WAITLISTED' }, {
+                $set: {
+                    status: 'CONFIRMED',
+                    slotNumber,
+                    gate: event.gates?.[slotNumber - 1] || null,
+                    departureTime: new Date(new Date(event.date).getTime() + (slotNumber - 1) * (event.slotIntervalMinutes || 0) * 60 * 1000)
+                }
+            }, { new: true });
+            return confirmed || false;
+        } catch (error) {
+            if (error?.code !== 11000) throw error;
+        }
+    }
+    throw new Error(`Could not assign a slot for event ${event._id} after repeated conflicts.`);
+};
+
+// Cancels an RSVP (loaded with pilot populated with rank) whose pilot no longer meets the event's rank or
+// aircraft rules, e.g. after a demotion. Returns the reason, or null if the pilot is still eligible.
+const cancelIneligibleRsvp = async (event, rsvp) => {
+    const reason = rsvp.pilot ? eventEligibilityError(event, rsvp.pilot, rsvp.aircraft) : 'The pilot account no longer exists.';
+    if (!reason) return null;
+    await EventRsvp.updateOne(
+        { _id: rsvp._id, status: rsvp.status },
+        { $set: { status: 'CANCELLED', slotNumber: null, gate: null, departureTime: null, cancelledAt: new Date(), cancellationReason: reason } }
+    );
+    return reason;
+};
+
+// Moves waitlisted pilots into any free slots, oldest RSVP first, cancelling any who are no longer eligible.
+// Returns the RSVPs that were confirmed.
+const promoteEventWaitlist = async (eventId) => {
+    const event = await Event.findById(eventId).lean();
+    if (!event) return [];
+    const promoted = [];
+    const waitlist = await EventRsvp.find({ event: event._id, status: 'WAITLISTED' })
+        .sort({ rsvpAt: 1 })
+        .select('pilot aircraft status')
+        .populate('pilot', 'rank')
+        .lean();
+    for (const rsvp of waitlist) {
+        if (await cancelIneligibleRsvp(event, rsvp)) continue;
+        const confirmed = await assignEventSlot(event, rsvp._id);
+        if (confirmed === false) continue;
+        if (!confirmed) break;
+        promoted.push(confirmed);
+    }
+    return promoted;
+};
+
+// Parses the event fields from a (multipart) request body. Lists may be sent as arrays or comma-separated
+// strings. Returns { fields } or { error }; with partial, absent fields are left out instead of defaulted.
+const parseEventInput = (body, { partial = false } = {}) => {
+    const fields = {};
+    const has = (name) => body[name] !== undefined;
+    const list = (value) => (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+
+    for (const name of ['title', 'description']) {
+        if (has(name)) fields[name] = String(body[name]).trim();
+        if ((has(name) || !partial) && !fields[name]) return { error: `The event ${name} is required.` };
+    }
+    if (has('date') || !partial) {
+        const date = new Date(body.date);
+        if (!body.date || isNaN(date)) return { error: 'A valid event date is required.' };
+        fields.date = date;
+    }
+    for (const name of ['departure', 'arrival']) {
+        if (!has(name)) continue;
+        const icao = String(body[name]).trim().toUpperCase();
+        if (icao && !/^[A-Z]{4}$/.test(icao)) return { error: `The ${name} airport must be a 4-letter ICAO code.` };
+        fields[name] = icao || null;
+    }
+    if (has('allowedAircraft')) fields.allowedAircraft = [...new Set(list(body.allowedAircraft).map(a => a.toUpperCase()))];
+    if (has('gates')) {
+        fields.gates = list(body.gates);
+        if (new Set(fields.gates).size !== fields.gates.length) return { error: 'Each gate can only be listed once.' };
+    }
+    if (has('minimumRank')) {
+        const rank = String(body.minimumRank).trim();
+        if (rank && !pilotRanks.includes(rank)) return { error: 'Invalid minimum rank specified.' };
+        fields.minimumRank = rank || null;
+    }
+    if (has('capacity')) {
+        const capacity = body.capacity === '' || body.capacity === null ? null : Number(body.capacity);
+        if (capacity !== null && (!Number.isInteger(capacity) || capacity < 1)) return { error: 'Capacity must be a whole number of at least 1.' };
+        fields.capacity = capacity;
+    }
+    if (has('slotIntervalMinutes')) {
+        const interval = Number(body.slotIntervalMinutes || 0);
+        if (!Number.isFinite(interval) || interval < 0) return { error: 'The slot interval must be zero or more minutes.' };
+        fields.slotIntervalMinutes = interval;
+    }
+    if (has('durationMinutes')) {
+        const duration = Number(body.durationMinutes);
+        if (!Number.isInteger(duration) || duration < 1) return { error: 'The duration must be a whole number of minutes.' };
+        fields.durationMinutes = duration;
+    }
+    return { fields };
+};
+
+// Occurrence dates for a recurring event. Body: repeat ('daily' | 'weekly'), repeatEvery (default 1)
+// and occurrences (total count, including the first). Without repeat the event happens once.
+const EVENT_MAX_OCCURRENCES = 52;
+const eventRepeatDays = { daily: 1, weekly: 7 };
+const parseEventRecurrence = (body, firstDate) => {
+    if (!body.repeat) return { dates: [firstDate] };
+    const stepDays = eventRepeatDays[String(body.repeat).toLowerCase()];
+    if (!stepDays) return { error: `Events can repeat: ${Object.keys(eventRepeatDays).join(', ')}.` };
+    const every = Number(body.repeatEvery || 1);
+    const occurrences = Number(body.occurrences);
+    if (!Number.isInteger(every) || every < 1) return { error: 'repeatEvery must be a whole number of at least 1.' };
+    if (!Number.isInteger(occurrences) || occurrences < 2 || occurrences > EVENT_MAX_OCCURRENCES) {
+        return { error: `A recurring event needs between 2 and ${EVENT_MAX_OCCURRENCES} occurrences.` };
+    }
+    const stepMs = stepDays * every * 24 * 60 * 60 * 1000;
+    return { dates: Array.from({ length: occurrences }, (_, i) => new Date(firstDate.getTime() + i * stepMs)) };
+};
+
+// Brings RSVPs in line after an event is edited: pilots who no longer meet its rank or aircraft rules are
+// cancelled, confirmed pilots get their gate and departure time recalculated, any holding a slot beyond a
+// reduced capacity go back to the waitlist (keeping their original RSVP time, which usually puts them near
+// the front), and freed slots are filled.
+const reconcileEventRsvps = async (event) => {
+    const active = await EventRsvp.find({ event: event._id, status: { $in: ['CONFIRMED', 'WAITLISTED'] } })
+        .select('pilot aircraft status slotNumber')
+        .populate('pilot', 'name callsign rank')
+        .lean();
+    const cancelled = [];
+    const confirmed = [];
+    for (const rsvp of active) {
+        const reason = await cancelIneligibleRsvp(event, rsvp);
+        if (reason) cancelled.push({ rsvp: rsvp._id, pilot: rsvp.pilot && { _id: rsvp.pilot._id, name: rsvp.pilot.name, callsign: rsvp.pilot.callsign }, reason });
+        else if (rsvp.status === 'CONFIRMED') confirmed.push(rsvp);
+    }
+
+    const capacity = eventCapacity(event);
+    const overCapacity = confirmed.filter(rsvp => capacity !== null && rsvp.slotNumber > capacity);
+    const kept = confirmed.filter(rsvp => !overCapacity.includes(rsvp));
+
+    if (overCapacity.length > 0) {
+        await EventRsvp.updateMany(
+            { _id: { $in: overCapacity.map(rsvp => rsvp._id) } },
+            { $set: { status: 'WAITLISTED', slotNumber: null, gate: null, departureTime: null } }
+        );
+    }
+    if (kept.length > 0) {
+        await EventRsvp.bulkWrite(kept.map(rsvp => ({
+            updateOne: {
+                filter: { _id: rsvp._id },
+                update: { $set: {
+                    gate: event.gates?.[rsvp.slotNumber - 1] || null,
+                    departureTime: new Date(new Date(event.date).getTime() + (rsvp.slotNumber - 1) * (event.slotIntervalMinutes || 0) * 60 * 1000)
+                } }
+            }
+        })));
+    }
+    const promoted = await promoteEventWaitlist(event._id);
+    return { cancelled, demoted: overCapacity.length, promoted: promoted.length };
+};
+
+// Occurrences of a series share one uploaded image, so it is only deleted once no remaining event uses it.
+// Call after the events have been removed or given a new image.
+const releaseEventImages = async (events) => {
+    const released = new Map(events.filter(event => event.imageUrl).map(event => [event.imageUrl, event]));
+    for (const [imageUrl, event] of released) {
+        if (!(await Event.exists({ imageUrl }))) await deleteStoredImage(event);
+    }
+};
+
+// --- iCalendar Feed ---
+// Text values escape backslashes, semicolons, commas and newlines (RFC 5545 3.3.11)
+const icsText = (value) => String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+const icsDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const icsFold = (line) => {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+const buildEventsCalendar = (events, { now = new Date() } = {}) => {
+    const uidDomain = new URL(FRONTEND_URL).hostname;
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//IndGo Virtual Airline//Events//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:IndGo Events'
+    ];
+    for (const event of events) {
+        const start = new Date(event.date);
+        const route = [event.departure, event.arrival].filter(Boolean).join(' - ');
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event._id}@${uidDomain}`,
+            `DTSTAMP:${icsDate(now)}`,
+            `DTSTART:${icsDate(start)}`,
+            `DTEND:${icsDate(start.getTime() + (event.durationMinutes || 120) * 60 * 1000)}`,
+            `SUMMARY:${icsText(event.title)}`,
+            `DESCRIPTION:${icsText(event.description)}`
+        );
+        if (route) lines.push(`LOCATION:${icsText(route)}`);
+        if (event.createdAt) lines.push(`CREATED:${icsDate(event.createdAt)}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(icsFold).join('\r\n') + '\r\n';
+};
+
+// --- Achievements ---
+const seedAchievements = async () => {
+    try {
+        await Achievement.bulkWrite(defaultAchievements.map(achievement => ({
+            updateOne: { filter: { key: achievement.key }, update: { $setOnInsert: achievement }, upsert: true }
+        })));
+        // Give pilots created before badges existed an empty list
+        await User.updateMany({ badges: { $exists: false } }, { $set: { badges: [] } });
+    } catch (error) {
+        console.error('Failed to seed achievements:', error);
+    }
+};
+
+// Route aircraft fields can list several types ("A320/A321"), so split them into single types
+const splitAircraftTypes = (value) => String(value || '').toUpperCase().split(/[,/]/).map(t => t.trim()).filter(Boolean);
+
+// What a pilot has flown, gathered once per check and shared by every evaluator
+const loadAchievementFacts = async (pilotId) => {
+    const [[flown], pilot, rostersCompleted] = await Promise.all([
+        Pirep.aggregate([
+            { $match: { pilot: pilotId, status: 'APPROVED' } },
+            { $group: {
+                _id: null, flights: { $sum: 1 }, longestFlight: { $max: '$flightTime' },
+                departures: { $addToSet: '$departure' }, arrivals: { $addToSet: '$arrival' },
+                aircraft: { $addToSet: { $toUpper: '$aircraft' } }, operators: { $addToSet: { $toUpper: '$operator' } }
+            } }
+        ]),
+        User.findById(pilotId).select('flightHours badges').lean(),
+        DutyLog.countDocuments({ pilot: pilotId, status: 'COMPLETED' })
+    ]);
+    if (!pilot) return null;
+    return {
+        flights: flown?.flights || 0,
+        hours: pilot.flightHours,
+        longestFlight: flown?.longestFlight || 0,
+        airports: new Set([...(flown?.departures || []), ...(flown?.arrivals || [])]),
+        aircraft: new Set((flown?.aircraft || []).map(a => a.trim())),
+        operators: new Set(flown?.operators || []),
+        rostersCompleted,
+        // Lean documents get no schema defaults, so pilots created before badges existed have no array
+        earned: new Set((pilot.badges || []).map(b => String(b.achievement)))
+    };
+};
+
+// Network-wide sets are only loaded if an active achievement needs them
+const loadNetworkFacts = async () => {
+    const [aircraft, codeshareOperators] = await Promise.all([
+        Route.distinct('aircraft'),
+        Route.distinct('operator', { isCodeshare: true })
+    ]);
+    return {
+        fleet: new Set(aircraft.flatMap(splitAircraftTypes)),
+        codeshareOperators: new Set(codeshareOperators.map(op => op.toUpperCase()))
+    };
+};
+
+const containsAll = (have, needed) => needed.size > 0 && [...needed].every(item => have.has(item));
+
+const achievementCriteria = {
+    FLIGHT_COUNT: (facts, threshold) => facts.flights >= threshold,
+    FLIGHT_HOURS: (facts, threshold) => facts.hours >= threshold,
+    LONG_HAUL: (facts, threshold) => facts.longestFlight >= threshold,
+    UNIQUE_AIRPORTS: (facts, threshold) => facts.airports.size >= threshold,
+    UNIQUE_AIRCRAFT: (facts, threshold) => facts.aircraft.size >= threshold,
+    ALL_FLEET_AIRCRAFT: (facts, threshold, network) => containsAll(facts.aircraft, network.fleet),
+    ROSTERS_COMPLETED: (facts, threshold) => facts.rostersCompleted >= threshold,
+    ALL_CODESHARE_OPERATORS: (facts, threshold, network) => containsAll(facts.operators, network.codeshareOperators),
+    MANUAL: () => false
+};
+const networkCriteria = ['ALL_FLEET_AIRCRAFT', 'ALL_CODESHARE_OPERATORS'];
+const criteriaWithoutThreshold = ['ALL_FLEET_AIRCRAFT', 'ALL_CODESHARE_OPERATORS', 'MANUAL'];
+
+// Checks every active achievement the pilot hasn't earned yet and awards those now met.
+// Runs after each PIREP approval; returns the newly awarded achievements. Never throws, so
+// a failed check can't undo an approval that has already been committed.
+const awardAchievements = async (pilotId, pirepId = null) => {
+    try {
+        const facts = await loadAchievementFacts(pilotId);
+        if (!facts) return [];
+        const candidates = (await Achievement.find({ isActive: true, 'criteria.kind': { $ne: 'MANUAL' } }).lean())
+            .filter(achievement => !facts.earned.has(String(achievement._id)));
+        if (candidates.length === 0) return [];
+        const network = candidates.some(a => networkCriteria.includes(a.criteria.kind)) ? await loadNetworkFacts() : null;
+
+        const awarded = [];
+        for (const achievement of candidates) {
+            if (!achievementCriteria[achievement.criteria.kind](facts, achievement.criteria.threshold, network)) continue;
+            // Conditional push so two approvals at once can't award the same badge twice
+            const result = await User.updateOne(
+                { _id: pilotId, 'badges.achievement': { $ne: achievement._id } },
+                { $push: { badges: { achievement: achievement._id, awardedAt: new Date(), pirep: pirepId } } }
+            );
+            if (result.modifiedCount > 0) {
+                awarded.push({ _id: achievement._id, key: achievement.key, name: achievement.name, description: achievement.description, iconUrl: achievement.iconUrl });
+            }
+        }
+        return awarded;
+    } catch (error) {
+        console.error(`Failed to check achievements for pilot ${pilotId}:`, error);
+        return [];
+    }
+};
+
+// Badges as shown on profiles: newest first, skipping any whose achievement has since been deleted
+const presentBadges = (badges = []) => badges
+    .filter(badge => badge.achievement && badge.achievement.name)
+    .sort((a, b) => new Date(b.awardedAt) - new Date(a.awardedAt))
+    .map(badge => ({
+        key: badge.achievement.key,
+        name: badge.achievement.name,
+        description: badge.achievement.description,
+        iconUrl: badge.achievement.iconUrl,
+        awardedAt: badge.awardedAt,
+        awardedManually: Boolean(badge.awardedBy),
+        note: badge.note
+    }));
+
+// --- Statistics ---
+// Aggregations over approved PIREPs for leaderboards and the website's statistics pages. Each result
+// set is computed in full, cached for STATS_CACHE_TTL and paged from the cache. Approving or revoking
+// a PIREP clears the cache so a review shows up immediately.
+const STATS_CACHE_TTL = envNumber('STATS_CACHE_TTL_SECONDS', 300) * 1000;
+// The endpoints are public and custom ranges make many keys, so the cache only keeps the most recently used sets
+const STATS_CACHE_MAX_ENTRIES = envNumber('STATS_CACHE_MAX_ENTRIES', 100);
+const statsCache = new Map(); // Insertion order doubles as least-recently-used order
+const invalidateStatsCache = () => statsCache.clear();
+
+const cachedStat = async (key, compute) => {
+    const hit = statsCache.get(key);
+    if (hit && Date.now() - hit.computedAt < STATS_CACHE_TTL) {
+        statsCache.delete(key);
+        statsCache.set(key, hit);
+        return hit;
+    }
+    const rows = await compute();
+    for (const [staleKey, stale] of statsCache) {
+        if (Date.now() - stale.computedAt >= STATS_CACHE_TTL) statsCache.delete(staleKey);
+    }
+    const entry = { rows: rows.map((row, index) => ({ position: index + 1, ...row })), computedAt: Date.now() };
+    statsCache.delete(key);
+    statsCache.set(key, entry);
+    while (statsCache.size > STATS_CACHE_MAX_ENTRIES) statsCache.delete(statsCache.keys().next().value);
+    return entry;
+};
+
+const DAY_MS = 24 * HOUR_MS;
+const startOfUtcDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+// Resolves ?period=all|month|custom (custom takes from and an optional to) into a filing-date range.
+// Custom ranges are widened to whole UTC days so nearby timestamps share one cache entry.
+const resolveStatsPeriod = ({ period = 'all', from, to }, now = new Date()) => {
+    if (period === 'all') return { period, from: null, to: null };
+    if (period === 'month') return { period, from: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)), to: null };
+    if (period === 'custom') {
+        const rawStart = new Date(from);
+        const rawEnd = to ? new Date(to) : null; // Open-ended ranges run up to now
+        if (!from || isNaN(rawStart) || (rawEnd && isNaN(rawEnd))) return { error: 'A custom period needs a valid "from" date and an optional "to" date.' };
+        if (rawStart >= (rawEnd || now)) return { error: 'The "from" date must be before the "to" date.' };
+        const start = startOfUtcDay(rawStart);
+        // The end is exclusive, so a partial last day is rounded up to the following midnight
+        const end = rawEnd && new Date(Math.ceil(rawEnd.getTime() / DAY_MS) * DAY_MS);
+        return { period, from: start, to: end };
+    }
+    return { error: 'Period must be one of: all, month, custom.' };
+};
+
+const approvedPirepMatch = ({ from, to }) => {
+    const match = { status: 'APPROVED' };
+    if (from || to) match.createdAt = {};
+    if (from) match.createdAt.$gte = from;
+    if (to) match.createdAt.$lt = to;
+    return match;
+};
+
+// Hours a PIREP credited, multiplier included; older approvals only have the flight time
+const creditedHours = { $ifNull: ['$hoursAwarded', '$flightTime'] };
+const roundedHours = { $round: ['$hours', 2] };
+
+const statsQueries = {
+    pilots: (range, { metric }) => Pirep.aggregate([
+        { $match: approvedPirepMatch(range) },
+        { $group: { _id: '$pilot', flights: { $sum: 1 }, hours: { $sum: creditedHours }, lastFlightAt: { $max: '$createdAt' } } },
+        { $sort: metric === 'flights' ? { flights: -1, hours: -1, _id: 1 } : { hours: -1, flights: -1, _id: 1 } },
+        { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'pilot' } },
+        { $unwind: '$pilot' },
+        // Pilots who hide their stats keep their place but are listed anonymously
+        { $addFields: { isPrivate: { $in: ['stats', { $ifNull: ['$pilot.privateFields', []] }] } } },
+        { $project: {
+            _id: 0, isPrivate: 1,
+            pilotId: { $cond: ['$isPrivate', null, '$_id'] },
+            name: { $cond: ['$isPrivate', 'Private pilot', '$pilot.name'] },
+            callsign: { $cond: ['$isPrivate', null, '$pilot.callsign'] },
+            rank: { $cond: ['$isPrivate', null, '$pilot.rank'] },
+            avatarUrl: {
+                $cond: [
+                    { $or: ['$isPrivate', { $in: ['image', { $ifNull: ['$pilot.privateFields', []] }] }] },
+                    null,
+                    { $ifNull: ['$pilot.imageUrls.avatar', '$pilot.imageUrl'] }
+                ]
+            },
+            flights: 1, hours: roundedHours,
+            lastFlightAt: { $cond: ['$isPrivate', null, '$lastFlightAt'] }
+        } }
+    ]),
+    routes: (range) => Pirep.aggregate([
+        { $match: approvedPirepMatch(range) },
+        { $group: { _id: { departure: '$departure', arrival: '$arrival' }, flights: { $sum: 1 }, hours: { $sum: '$flightTime' }, pilots: { $addToSet: '$pilot' } } },
+        { $project: { _id: 0, departure: '$_id.departure', arrival: '$_id.arrival', flights: 1, hours: roundedHours, pilots: { $size: '$pilots' } } },
+        { $sort: { flights: -1, departure: 1, arrival: 1 } }
+    ]),
+    aircraft: (range) => Pirep.aggregate([
+        { $match: approvedPirepMatch(range) },
+        { $group: { _id: '$aircraft', flights: { $sum: 1 }, hours: { $sum: '$flightTime' }, pilots: { $addToSet: '$pilot' } } },
+        { $project: { _id: 0, aircraft: '$_id', flights: 1, hours: roundedHours, pilots: { $size: '$pilots' } } },
+        { $sort: { flights: -1, aircraft: 1 } }
+    ]),
+    airports: (range) => Pirep.aggregate([
+        { $match: approvedPirepMatch(range) },
+        { $project: { movements: [
+            { icao: '$departure', departure: { $literal: 1 }, arrival: { $literal: 0 } },
+            { icao: '$arrival', departure: { $literal: 0 }, arrival: { $literal: 1 } }
+        ] } },
+        { $unwind: '$movements' },
+        { $group: { _id: '$movements.icao', departures: { $sum: '$movements.departure' }, arrivals: { $sum: '$movements.arrival' } } },
+        { $project: { _id: 0, icao: '$_id', departures: 1, arrivals: 1, movements: { $add: ['$departures', '$arrivals'] } } },
+        { $sort: { movements: -1, icao: 1 } }
+    ]),
+    operators: async (range) => {
+        const [rows, codeshareOperators] = await Promise.all([
+            Pirep.aggregate([
+                { $match: approvedPirepMatch(range) },
+                { $group: { _id: '$operator', flights: { $sum: 1 }, hours: { $sum: '$flightTime' }, pilots: { $addToSet: '$pilot' } } },
+                { $project: { _id: 0, operator: '$_id', flights: 1, hours: roundedHours, pilots: { $size: '$pilots' } } },
+                { $sort: { flights: -1, operator: 1 } }
+            ]),
+            Route.distinct('operator', { isCodeshare: true })
+        ]);
+        const codeshare = new Set(codeshareOperators.map(op => op.toUpperCase()));
+        return rows.map(row => ({ ...row, isCodeshare: codeshare.has(String(row.operator).toUpperCase()) }));
+    }
+};
+
+// --- Logbook Export & Import ---
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Totals over a pilot's approved flights; hours are block time, creditedHours include roster multipliers
+const summarizeLogbook = (pireps) => {
+    const totals = { flights: 0, hours: 0, creditedHours: 0 };
+    const groups = { byAircraft: new Map(), byOperator: new Map(), byMonth: new Map() };
+    const add = (map, key, pirep) => {
+        const entry = map.get(key) || { key, flights: 0, hours: 0, creditedHours: 0 };
+        entry.flights += 1;
+        entry.hours += pirep.flightTime;
+        entry.creditedHours += pirep.hoursAwarded ?? pirep.flightTime;
+        map.set(key, entry);
+    };
+    for (const pirep of pireps) {
+        totals.flights += 1;
+        totals.hours += pirep.flightTime;
+        totals.creditedHours += pirep.hoursAwarded ?? pirep.flightTime;
+        add(groups.byAircraft, pirep.aircraft, pirep);
+        add(groups.byOperator, pirep.operator, pirep);
+        add(groups.byMonth, new Date(pirep.createdAt).toISOString().slice(0, 7), pirep);
+    }
+    const list = (map, sortByKey) => [...map.values()]
+        .map(entry => ({ ...entry, hours: round2(entry.hours), creditedHours: round2(entry.creditedHours) }))
+        .sort(sortByKey ? (a, b) => a.key.localeCompare(b.key) : (a, b) => b.flights - a.flights || a.key.localeCompare(b.key));
+    return {
+        flights: totals.flights,
+        hours: round2(totals.hours),
+        creditedHours: round2(totals.creditedHours),
+        byAircraft: list(groups.byAircraft),
+        byOperator: list(groups.byOperator),
+        byMonth: list(groups.byMonth, true)
+    };
+};
+
+const logbookColumns = ['date', 'flightNumber', 'departure', 'arrival', 'aircraft', 'operator', 'flightTime', 'creditedHours', 'source', 'remarks'];
+const logbookRow = (pirep) => ({
+    date: new Date(pirep.createdAt).toISOString().slice(0, 10),
+    flightNumber: pirep.flightNumber,
+    departure: pirep.departure,
+    arrival: pirep.arrival,
+    aircraft: pirep.aircraft,
+    operator: pirep.operator,
+    flightTime: pirep.flightTime,
+    creditedHours: round2(pirep.hoursAwarded ?? pirep.flightTime),
+    source: pirep.source === 'IMPORT' ? `Imported (${pirep.importedFrom})` : 'IndGo',
+    remarks: pirep.remarks || ''
+});
+
+// The CSV holds the flights, a blank line, then one totals table; escapeFormulae stops spreadsheet injection
+const logbookToCsv = (rows, summary) => {
+    const totalsRows = [
+        { group: 'All flights', key: '', flights: summary.flights, hours: summary.hours, creditedHours: summary.creditedHours },
+        ...[['Aircraft', summary.byAircraft], ['Operator', summary.byOperator], ['Month', summary.byMonth]]
+            .flatMap(([group, entries]) => entries.map(entry => ({ group, ...entry })))
+    ];
+    return [
+        Papa.unparse(rows, { columns: logbookColumns, escapeFormulae: true }),
+        Papa.unparse(totalsRows, { columns: ['group', 'key', 'flights', 'hours', 'creditedHours'], escapeFormulae: true })
+    ].join('\r\n\r\n');
+};
+
+const LOGBOOK_IMPORT_MAX_ROWS = 2000;
+const logbookImportAliases = {
+    date: ['date', 'flight date', 'departure date', 'date flown'],
+    flightNumber: ['flight number', 'flight no', 'flight', 'callsign'],
+    departure: ['departure', 'departure icao', 'from', 'origin', 'dep'],
+    arrival: ['arrival', 'arrival icao', 'to', 'destination', 'arr'],
+    aircraft: ['aircraft', 'aircraft type', 'equipment', 'type'],
+    flightTime: ['flight time', 'block time', 'duration', 'hours', 'time'],
+    operator: ['operator', 'airline'],
+    remarks: ['remarks', 'notes', 'comments']
+};
+// Papa may pass an already-normalized header through again, so known field names map to themselves
+const normalizeImportHeader = (header) => {
+    if (logbookImportAliases[header]) return header;
+    const cleaned = String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    const field = Object.keys(logbookImportAliases).find(key => logbookImportAliases[key].includes(cleaned));
+    return field || cleaned;
+};
+const importDuplicateKey = ({ createdAt, flightNumber, departure, arrival }) =>
+    [new Date(createdAt).toISOString().slice(0, 10), flightNumber.toUpperCase(), departure, arrival].join('|');
+
+// Validates a historical logbook CSV. Returns { flights, rejected } where flights are ready-to-insert
+// PIREP documents and rejected lists { row, reason, data } per refused line (row numbers match the file).
+const parseLogbookImport = (csvText, { pilot, reviewerId, source, existingKeys, now = new Date() }) => {
+    // Blank lines are skipped below rather than by Papa so reported row numbers stay in step with the file
+    const parsed = Papa.parse(csvText, { header: true, transformHeader: normalizeImportHeader });
+    const missing = ['date', 'flightNumber', 'departure', 'arrival', 'aircraft', 'flightTime'].filter(f => !parsed.meta.fields?.includes(f));
+    if (missing.length > 0) return { error: `The CSV is missing required columns: ${missing.join(', ')}.` };
+    const isBlank = (data) => Object.values(data).every(v => !String(v ?? '').trim());
+    if (parsed.data.filter(data => !isBlank(data)).length > LOGBOOK_IMPORT_MAX_ROWS) return { error: `A logbook import is limited to ${LOGBOOK_IMPORT_MAX_ROWS} rows.` };
+
+    const flights = [];
+    const rejected = [];
+    const seen = new Set(existingKeys);
+    parsed.data.forEach((data, index) => {
+        if (isBlank(data)) return;
+        const row = index + 2; // Line 1 is the header
+        const reject = (reason) => rejected.push({ row, reason, data });
+        const value = (field) => String(data[field] ?? '').trim();
+
+        const flownAt = new Date(value('date'));
+        if (!value('date') || isNaN(flownAt)) return reject('Missing or invalid date.');
+        if (flownAt > now) return reject('The flight date is in the future.');
+        const flightNumber = value('flightNumber');
+        if (!flightNumber) return reject('Missing flight number.');
+        const departure = extractIcao(value('departure').toUpperCase());
+        const arrival = extractIcao(value('arrival').toUpperCase());
+        if (!departure || !arrival) return reject('Departure and arrival must be 4-letter ICAO codes.');
+        if (departure === arrival) return reject('Departure and arrival are the same airport.');
+        const aircraft = value('aircraft');
+        if (!aircraft) return reject('Missing aircraft.');
+        const rawTime = value('flightTime');
+        const flightTime = /^\d+(\.\d+)?$/.test(rawTime) ? parseFloat(rawTime) : convertTimeToDecimal(rawTime);
+        if (!Number.isFinite(flightTime) || flightTime < 0.1 || flightTime > 24) return reject('Flight time must be between 0.1 and 24 hours.');
+
+        const flight = {
+            pilot: pilot._id, flightNumber, departure, arrival, aircraft,
+            flightTime: round2(flightTime),
+            rankUnlock: deduceRankFromAircraft(aircraft),
+            operator: value('operator') || source,
+            remarks: value('remarks') || undefined,
+            status: 'APPROVED',
+            source: 'IMPORT',
+            importedFrom: source,
+            createdAt: flownAt,
+            reviewedBy: reviewerId,
+            reviewedAt: now,
+            hoursAwarded: round2(flightTime),
+            multiplierApplied: 1
+        };
+        const key = importDuplicateKey(flight);
+        if (seen.has(key)) return reject('Duplicate of a flight already imported or earlier in this file.');
+        seen.add(key);
+        flights.push(flight);
+    });
+    return { flights, rejected };
+};
+
+// --- PIREP Review Helpers ---
+// Each helper returns either the outcome or { error, message } where error is one of
+// NOT_FOUND, ALREADY_REVIEWED or PILOT_NOT_FOUND. Status changes are conditional updates
+// (PENDING -> APPROVED and so on), so two reviewers acting at once can never both succeed.
+// A PIREP waiting on the pilot (NEEDS_INFO) can still be decided without their answer.
+
+const approvePirep = async (pirepId, reviewerId) => {
+    const pirep = await Pirep.findById(pirepId).lean();
+    if (!pirep) return { error: 'NOT_FOUND', message: 'PIREP not found.' };
+    if (!openPirepStatuses.includes(pirep.status)) return { error: 'ALREADY_REVIEWED', message: `This PIREP has already been ${pirep.status.toLowerCase()}.` };
+
+    let hoursToAdd = pirep.flightTime;
+    let multiplierApplied = 1;
+
+    if (pirep.isMultiplierEligible && pirep.rosterLeg && pirep.rosterLeg.rosterId) {
+        const roster = await Roster.findById(pirep.rosterLeg.rosterId).lean();
+        if (roster && roster.multiplier > 1) {
+            hoursToAdd *= roster.multiplier;
+            multiplierApplied = roster.multiplier;
+            console.log(`Applied ${roster.multiplier}x multiplier to PIREP ${pirep._id}. Original: ${pirep.flightTime}, Awarded: ${hoursToAdd}`);
+        }
+    }
+
+    const outcome = await withTransaction(async (session) => {
+        const pilotBefore = await User.findById(pirep.pilot).select('lastKnownAirport').session(session).lean();
+        if (!pilotBefore) return { error: 'PILOT_NOT_FOUND', message: 'Associated pilot profile not found.' };
+
+        const claimed = await Pirep.findOneAndUpdate(
+            { _id: pirep._id, status: { $in: openPirepStatuses } },
+            {
+                $set: {
+                    status: 'APPROVED',
+                    reviewedBy: reviewerId,
+                    reviewedAt: new Date(),
+                    verificationImageUrl: null, // Clear the URLs from the database
+                    verificationImageUrls: [],
+                    hoursAwarded: hoursToAdd,
+                    multiplierApplied,
+                    previousKnownAirport: pilotBefore.lastKnownAirport
+                }
+            },
+            { new: true, session }
+        );
+        if (!claimed) return { error: 'ALREADY_REVIEWED', message: 'This PIREP has already been reviewed.' };
+
+        try {
+            const adjusted = await adjustPilotHours({
+                pilotId: pirep.pilot, amount: hoursToAdd, type: 'PIREP_APPROVAL', pirep: pirep._id,
+                multiplier: multiplierApplied, createdBy: reviewerId, extraUpdate: { lastKnownAirport: pirep.arrival }
+            }, session);
+            if (!adjusted) throw new Error(`Pilot ${pirep.pilot} disappeared while approving PIREP ${pirep._id}.`);
+            return { pirep: claimed, pilot: adjusted.pilot, hoursAwarded: hoursToAdd, multiplierApplied, promotion: adjusted.rankResult };
+        } catch (error) {
+            // Without a transaction the claim has already been written; reopen the PIREP so it can be reviewed again
+            if (!session) {
+                await Pirep.updateOne({ _id: pirep._id, status: 'APPROVED', reviewedBy: reviewerId }, {
+                    $set: {
+                        status: pirep.status,
+                        reviewedBy: pirep.reviewedBy ?? null,
+                        reviewedAt: pirep.reviewedAt ?? null,
+                        verificationImageUrl: pirep.verificationImageUrl ?? null,
+                        verificationImageUrls: pirep.verificationImageUrls || [],
+                        hoursAwarded: null,
+                        multiplierApplied: null,
+                        previousKnownAirport: null
+                    }
+                });
+            }
+            throw error;
+        }
+    });
+    if (outcome.error) return outcome;
+
+    pirepImageUrls(pirep).forEach(url => deleteStoredFile(url));
+    syncPilotToSheet(outcome.pilot);
+    invalidateStatsCache();
+    outcome.badgesAwarded = await awardAchievements(outcome.pilot._id, pirep._id);
+    return outcome;
+};
+
+const rejectPirep = async (pirepId, reviewerId, reason) => {
+    const pirep = await Pirep.findById(pirepId).select('status revisions verificationImageUrl verificationImageUrls').lean();
+    if (!pirep) return { error: 'NOT_FOUND', message: 'PIREP not found.' };
+    if (!openPirepStatuses.includes(pirep.status)) return { error: 'ALREADY_REVIEWED', message: `This PIREP was already ${pirep.status.toLowerCase()}.` };
+
+    const reviewedAt = new Date();
+    const update = {
+        status: 'REJECTED',
+        rejectionReason: reason,
+        reviewedBy: reviewerId,
+        reviewedAt,
+        verificationImageUrl: null, // Clear the URLs
+        verificationImageUrls: []
+    };
+    const latestRevision = (pirep.revisions?.length || 0) - 1;
+    if (latestRevision >= 0) {
+        update[`revisions.${latestRevision}.rejectionReason`] = reason;
+        update[`revisions.${latestRevision}.rejectedBy`] = reviewerId;
+        update[`revisions.${latestRevision}.rejectedAt`] = reviewedAt;
+    }
+
+    const rejected = await Pirep.findOneAndUpdate({ _id: pirepId, status: { $in: openPirepStatuses } }, { $set: update }, { new: true });
+    if (!rejected) return { error: 'ALREADY_REVIEWED', message: 'This PIREP has already been reviewed.' };
+
+    await Promise.all(pirepImageUrls(pirep).map(url => deleteStoredFile(url)));
+    return { pirep: rejected };
+};
+
+const revokePirep = async (pirepId, reviewerId, reason) => {
+    const pirep = await Pirep.findById(pirepId).lean();
+    if (!pirep) return { error: 'NOT_FOUND', message: 'PIREP not found.' };
+    if (pirep.status !== 'APPROVED') return { error: 'ALREADY_REVIEWED', message: 'Only approved PIREPs can be revoked.' };
+
+    // PIREPs approved before awards were recorded: recompute the award the same way approval does
+    let hoursToRemove = pirep.hoursAwarded;
+    if (hoursToRemove === null || hoursToRemove === undefined) {
+        hoursToRemove = pirep.flightTime;
+        if (pirep.isMultiplierEligible && pirep.rosterLeg?.rosterId) {
+            const roster = await Roster.findById(pirep.rosterLeg.rosterId).lean();
+            if (roster && roster.multiplier > 1) hoursToRemove *= roster.multiplier;
+        }
+    }
+
+    return withTransaction(async (session) => {
+        const pilotBefore = await User.findById(pirep.pilot).select('flightHours lastKnownAirport dutyStatus').session(session).lean();
+        if (!pilotBefore) return { error: 'PILOT_NOT_FOUND', message: 'Associated pilot profile not found.' };
+
+        const claimed = await Pirep.findOneAndUpdate(
+            { _id: pirep._id, status: 'APPROVED' },
+            { $set: { status: 'REVOKED', revokedBy: reviewerId, revokedAt: new Date(), revocationReason: reason } },
+            { new: true, session }
+        );
+        if (!claimed) return { error: 'ALREADY_REVIEWED', message: 'This PIREP is no longer approved.' };
+
+        // Only move the pilot back if this was their latest approved flight and they haven't moved on since
+        const laterApproved = await Pirep.exists({
+            _id: { $ne: pirep._id },
+            pilot: pirep.pilot,
+            status: 'APPROVED',
+            source: { $ne: 'IMPORT' },
+            reviewedAt: { $gt: pirep.reviewedAt }
+        }).session(session);
+        let airportRestored = null;
+        // Imported history never moved the pilot, so there is nothing to put back
+        if (!laterApproved && pirep.source !== 'IMPORT' && pilotBefore.dutyStatus !== 'ON_DUTY' && pilotBefore.lastKnownAirport === pirep.arrival) {
+            airportRestored = pirep.previousKnownAirport || pirep.departure;
+        }
+
+        // Never take a pilot below zero hours
+        const amount = -Math.min(hoursToRemove, pilotBefore.flightHours);
+        const { pilot, rankResult } = await adjustPilotHours({
+            pilotId: pirep.pilot, amount, type: 'PIREP_REVOCATION', pirep: pirep._id,
+            multiplier: pirep.multiplierApplied, createdBy: reviewerId, note: reason,
+            extraUpdate: airportRestored ? { lastKnownAirport: airportRestored } : {}
+        }, session);
+        return { pirep: claimed, pilot, hoursRemoved: -amount, rankResult, airportRestored };
+    }).then(outcome => {
+        if (!outcome.error) {
+            syncPilotToSheet(outcome.pilot);
+            invalidateStatsCache();
+        }
+        return outcome;
+    });
+};
+
+// Maps a review helper error to its HTTP status
+const reviewErrorStatus = { NOT_FOUND: 404, PILOT_NOT_FOUND: 404, ALREADY_REVIEWED: 409 };
+
+// Simple callsign validator
+const isValidCallsign = cs => /^[A-Z0-9-]{2,15}$/.test(cs);
+
+// Simple email validator
+const isValidEmail = email => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// Escapes user input for use inside a RegExp
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// --- Session & Token Helpers ---
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days in ms
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+    { _id: user._id, role: user.role, name: user.name, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Opens a new session for the user and returns the access/refresh token pair
+const createSession = async (user, req) => {
+    const refreshToken = crypto.randomBytes(48).toString('hex');
+    const session = new Session({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent: req.get('User-Agent') || '',
+        ip: req.ip || '',
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL)
+    });
+    await session.save();
+    return { token: signAccessToken(user, session._id), refreshToken };
+};
+
+// Revokes every active session for a user; their access tokens stop working on the next request
+const revokeUserSessions = async (userId) => {
+    const result = await Session.updateMany({ user: userId, revokedAt: null }, { revokedAt: Date.now() });
+    return result.modifiedCount;
+};
+
+// Auth & Role Middlewares
+// The token only identifies the session; role and name are always read fresh from the database,
+// so role changes, deletions and revoked sessions take effect immediately.
+const authMiddleware = async (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) return res.status(401).json({ message: 'Access denied. No token provided.' });
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (ex) {
+        if (ex.name === 'TokenExpiredError') return res.status(401).json({ message: 'Token expired.' });
+        return res.status(400).json({ message: 'Invalid token.' });
+    }
+    try {
+        if (!payload.sid) return res.status(401).json({ message: 'Session is no longer valid. Please log in again.' });
+        const session = await Session.findOne({ _id: payload.sid, user: payload._id, revokedAt: null }).lean();
+        if (!session) return res.status(401).json({ message: 'Session is no longer valid. Please log in again.' });
+
+        const user = await User.findById(payload._id).select('role name').lean();
+        if (!user) return res.status(401).json({ message: 'Account no longer exists.' });
+
+        req.user = { _id: user._id, role: user.role, name: user.name, sid: session._id };
+        next();
+    } catch (error) {
+        console.error('Error in auth middleware:', error);
+        res.status(500).json({ message: 'Server error during authentication.' });
+    }
+};
+
+// --- Role Permission Cache ---
+// Grants are cached in memory and re-read at most once a minute (or immediately after an edit
+// through the admin API), so permission checks don't cost a database round trip per request.
+const PERMISSION_CACHE_TTL = 60 * 1000;
+let rolePermissionCache = null;
+let rolePermissionCacheLoadedAt = 0;
+
+const loadRolePermissions = async () => {
+    const docs = await RolePermission.find().lean();
+    rolePermissionCache = new Map(docs.map(d => [d.role, new Set(d.permissions)]));
+    rolePermissionCacheLoadedAt = Date.now();
+    return rolePermissionCache;
+};
+
+// Applies any default grants each role has not received yet (grants edited by an admin are left untouched)
+const seedRolePermissions = async () => {
+    try {
+        const roles = User.schema.path('role').enumValues.filter(r => r !== 'admin');
+        await RolePermission.bulkWrite(roles.map(role => {
+            const defaults = defaultRolePermissions[role] || [];
+            return {
+                updateOne: {
+                    filter: { role },
+                    update: [{
+                        $set: {
+                            role,
+                            permissions: {
+                                $setUnion: [
+                                    { $ifNull: ['$permissions', []] },
+                                    { $setDifference: [defaults, { $ifNull: ['$seededPermissions', []] }] }
+                                ]
+                            },
+                            seededPermissions: { $setUnion: [{ $ifNull: ['$seededPermissions', []] }, defaults] }
+                        }
+                    }],
+                    upsert: true
+                }
+            };
+        }));
+        await loadRolePermissions();
+        console.log('Role permissions loaded.');
+    } catch (error) {
+        console.error('Failed to seed role permissions:', error);
+    }
+};
+
+const roleHasPermission = async (role, permission) => {
+    if (role === 'admin') return true;
+    if (!rolePermissionCache || (Date.now() - rolePermissionCacheLoadedAt) > PERMISSION_CACHE_TTL) {
+        await loadRolePermissions();
+    }
+    return rolePermissionCache.get(role)?.has(permission) || false;
+};
+
+const requirePermission = (permission) => async (req, res, next) => {
+    try {
+        if (req.user && await roleHasPermission(req.user.role, permission)) {
+            next();
+        } else {
+            res.status(403).json({ message: 'Access denied. You do not have the required permissions.' });
+        }
+    } catch (error) {
+        console.error('Error checking permissions:', error);
+        res.status(500).json({ message: 'Server error while checking permissions.' });
+    }
+};
+
+// Editable grants stop short of admin: only an admin may give or take the admin role, or manage an admin's account
+const ADMIN_ONLY_MESSAGE = 'Only an admin can manage admin accounts.';
+const touchesAdmin = (req, ...roles) => req.user.role !== 'admin' && roles.includes('admin');
 
 
 // 7. API ROUTES (ENDPOINTS)
@@ -746,9 +3081,8 @@ const isRouteManager = hasRole(['admin', 'Chief Executive Officer (CEO)', 'Chief
 // --- NEW: Airport Data Route for Map Feature ---
 app.get('/api/airports', async (req, res) => {
     try {
-        const filePath = path.join(__dirname, 'airports.json');
-        const data = await fs.readFile(filePath, 'utf8');
-        res.json(JSON.parse(data));
+        const { raw } = await loadAirports();
+        res.json(raw);
     } catch (error) {
         console.error('Error reading airports.json:', error);
         res.status(500).json({ message: 'Could not load airport data.' });
@@ -756,37 +3090,156 @@ app.get('/api/airports', async (req, res) => {
 });
 
 // --- Community Content Routes ---
-app.post('/api/events', authMiddleware, isCommunityManager, upload.single('eventImage'), async (req, res) => {
+app.post('/api/events', authMiddleware, requirePermission('event.manage'), acceptUpload('eventImage'), async (req, res) => {
     try {
-        const { title, date, description } = req.body;
-        const newEvent = new Event({
-            title, date, description, author: req.user._id,
-            imageUrl: req.file ? req.file.location : undefined
-        });
-        await newEvent.save();
-        res.status(201).json({ message: 'Event created successfully!', event: newEvent });
+        const { fields, error } = parseEventInput(req.body);
+        if (error) return res.status(400).json({ message: error });
+        const { dates, error: recurrenceError } = parseEventRecurrence(req.body, fields.date);
+        if (recurrenceError) return res.status(400).json({ message: recurrenceError });
+
+        // Every occurrence of a recurring event shares the series id and the uploaded image
+        const series = dates.length > 1 ? new mongoose.Types.ObjectId() : null;
+        const events = await Event.insertMany(dates.map(date => ({
+            ...fields, date, series, author: req.user._id,
+            imageUrl: req.file ? req.file.location : undefined,
+            imageUrls: req.file ? req.file.imageUrls : null
+        })));
+        if (!series) return res.status(201).json({ message: 'Event created successfully!', event: events[0] });
+        res.status(201).json({ message: `Recurring event created with ${events.length} occurrences.`, event: events[0], events });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error while creating event.' });
     }
 });
 
+// Public iCalendar feed of recent and upcoming events for calendar apps to subscribe to
+app.get('/api/events/calendar.ics', async (req, res) => {
+    try {
+        const since = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+        const events = await Event.find({ date: { $gte: since } }).sort({ date: 1 }).lean();
+        res.set('Content-Disposition', 'inline; filename="events.ics"');
+        res.type('text/calendar; charset=utf-8').send(buildEventsCalendar(events));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while building the events calendar.' });
+    }
+});
+
 app.get('/api/events', async (req, res) => {
     try {
         const events = await Event.find().sort({ date: -1 }).lean();
-        res.json(events);
+        const counts = await EventRsvp.aggregate([
+            { $match: { event: { $in: events.map(e => e._id) }, status: { $ne: 'CANCELLED' } } },
+            { $group: { _id: { event: '$event', status: '$status' }, count: { $sum: 1 } } }
+        ]);
+        const countFor = (eventId, status) => counts.find(c => String(c._id.event) === String(eventId) && c._id.status === status)?.count || 0;
+        res.json(events.map(event => ({
+            ...event,
+            attendance: { confirmed: countFor(event._id, 'CONFIRMED'), waitlisted: countFor(event._id, 'WAITLISTED'), capacity: eventCapacity(event) }
+        })));
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error while fetching events.' });
     }
 });
 
-app.post('/api/highlights', authMiddleware, isCommunityManager, upload.single('highlightImage'), async (req, res) => {
+// RSVP to an event's group flight. Body: { aircraft } (required when the event restricts aircraft).
+// The pilot gets the next free slot and gate, or a waitlist place when the event is full.
+app.post('/api/events/:id/rsvp', authMiddleware, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).lean();
+        if (!event) return res.status(404).json({ message: 'Event not found.' });
+        if (new Date(event.date) <= new Date()) return res.status(400).json({ message: 'RSVPs are closed; this event has already started.' });
+
+        const pilot = await User.findById(req.user._id).select('rank').lean();
+        if (!pilot) return res.status(404).json({ message: 'Pilot not found.' });
+        const aircraft = req.body.aircraft ? String(req.body.aircraft).trim().toUpperCase() : null;
+        const ineligible = eventEligibilityError(event, pilot, aircraft);
+        if (ineligible) return res.status(403).json({ message: ineligible });
+
+        const existing = await EventRsvp.findOne({ event: event._id, pilot: pilot._id });
+        if (existing && existing.status !== 'CANCELLED') {
+            return res.status(409).json({ message: `You have already RSVPed to this event (${existing.status.toLowerCase()}).` });
+        }
+        const rsvp = existing || new EventRsvp({ event: event._id, pilot: pilot._id });
+        Object.assign(rsvp, { status: 'WAITLISTED', aircraft, slotNumber: null, gate: null, departureTime: null, rsvpAt: new Date(), cancelledAt: null, cancellationReason: null });
+        await rsvp.save();
+
+        // Joining the waitlist and promoting it keeps anyone already waiting ahead of the newcomer
+        await promoteEventWaitlist(event._id);
+        const confirmed = await EventRsvp.findOne({ _id: rsvp._id, status: 'CONFIRMED' }).lean();
+        if (confirmed) {
+            let message = `You're in! Slot ${confirmed.slotNumber}`;
+            if (confirmed.gate) message += ` at gate ${confirmed.gate}`;
+            return res.status(201).json({ message: `${message}.`, rsvp: confirmed });
+        }
+        const waitlistPosition = await EventRsvp.countDocuments({ event: event._id, status: 'WAITLISTED', rsvpAt: { $lte: rsvp.rsvpAt } });
+        res.status(201).json({ message: `This event is full; you are number ${waitlistPosition} on the waitlist.`, rsvp, waitlistPosition });
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) return res.status(409).json({ message: 'You have already RSVPed to this event.' });
+        res.status(500).json({ message: 'Server error while RSVPing to event.' });
+    }
+});
+
+app.delete('/api/events/:id/rsvp', authMiddleware, async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).select('date').lean();
+        if (!event) return res.status(404).json({ message: 'Event not found.' });
+        if (new Date(event.date) <= new Date()) return res.status(400).json({ message: 'This event has already started.' });
+
+        const rsvp = await EventRsvp.findOneAndUpdate(
+            { event: event._id, pilot: req.user._id, status: { $ne: 'CANCELLED' } },
+            { $set: { status: 'CANCELLED', slotNumber: null, gate: null, departureTime: null, cancelledAt: new Date() } }
+        );
+        if (!rsvp) return res.status(404).json({ message: 'You have not RSVPed to this event.' });
+
+        if (rsvp.status === 'CONFIRMED') await promoteEventWaitlist(event._id);
+        res.json({ message: 'Your RSVP has been cancelled.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while cancelling RSVP.' });
+    }
+});
+
+app.get('/api/me/rsvps', authMiddleware, async (req, res) => {
+    try {
+        // Cancelled RSVPs are only listed when the system withdrew them, so the pilot can see why
+        const rsvps = await EventRsvp.find({ pilot: req.user._id, $or: [{ status: { $ne: 'CANCELLED' } }, { cancellationReason: { $ne: null } }] })
+            .populate('event', 'title date departure arrival')
+            .sort({ rsvpAt: -1 })
+            .lean();
+        res.json(rsvps.filter(rsvp => rsvp.event));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching your RSVPs.' });
+    }
+});
+
+app.get('/api/events/:id/attendees', authMiddleware, requirePermission('event.manage'), async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).lean();
+        if (!event) return res.status(404).json({ message: 'Event not found.' });
+
+        const rsvps = await EventRsvp.find({ event: event._id, status: { $ne: 'CANCELLED' } })
+            .populate('pilot', 'name callsign rank')
+            .sort({ slotNumber: 1, rsvpAt: 1 })
+            .lean();
+        const confirmed = rsvps.filter(r => r.status === 'CONFIRMED');
+        const waitlisted = rsvps.filter(r => r.status === 'WAITLISTED');
+        res.json({ event: { _id: event._id, title: event.title, date: event.date, capacity: eventCapacity(event) }, confirmed, waitlisted });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching attendees.' });
+    }
+});
+
+app.post('/api/highlights', authMiddleware, requirePermission('highlight.manage'), acceptUpload('highlightImage'), async (req, res) => {
     try {
         const { title, winnerName, description } = req.body;
         if (!req.file) return res.status(400).json({ message: 'An image is required for a highlight.' });
         const newHighlight = new Highlight({
-            title, winnerName, description, author: req.user._id, imageUrl: req.file.location
+            title, winnerName, description, author: req.user._id, imageUrl: req.file.location, imageUrls: req.file.imageUrls
         });
         await newHighlight.save();
         res.status(201).json({ message: 'Highlight created successfully!', highlight: newHighlight });
@@ -806,24 +3259,82 @@ app.get('/api/highlights', async (req, res) => {
     }
 });
 
-app.delete('/api/events/:id', authMiddleware, isCommunityManager, async (req, res) => {
+// Edits an event. Send only the fields to change, plus an optional new eventImage.
+// ?scope=series applies the change to every occurrence of a recurring event; a new date then moves
+// each occurrence by the same amount. The default (?scope=occurrence) edits just this one.
+app.put('/api/events/:id', authMiddleware, requirePermission('event.manage'), acceptUpload('eventImage'), async (req, res) => {
+    try {
+        const event = await Event.findById(req.params.id).lean();
+        if (!event) return res.status(404).json({ message: 'Event not found.' });
+        const wholeSeries = req.query.scope === 'series';
+        if (wholeSeries && !event.series) return res.status(400).json({ message: 'This event is not part of a recurring series.' });
+
+        const { fields, error } = parseEventInput(req.body, { partial: true });
+        if (error) return res.status(400).json({ message: error });
+        if (req.file) {
+            fields.imageUrl = req.file.location;
+            fields.imageUrls = req.file.imageUrls;
+        }
+        if (Object.keys(fields).length === 0) return res.status(400).json({ message: 'No changes were provided.' });
+
+        const targets = wholeSeries ? await Event.find({ series: event.series }).lean() : [event];
+        const { date, ...shared } = fields;
+        const shift = date ? date.getTime() - new Date(event.date).getTime() : 0;
+        await Event.bulkWrite(targets.map(target => ({
+            updateOne: {
+                filter: { _id: target._id },
+                update: { $set: { ...shared, ...(shift ? { date: new Date(new Date(target.date).getTime() + shift) } : {}) } }
+            }
+        })));
+
+        const updated = await Event.find({ _id: { $in: targets.map(t => t._id) } }).sort({ date: 1 }).lean();
+        const rsvpChanges = { cancelled: [], demoted: 0, promoted: 0 };
+        for (const occurrence of updated) {
+            const { cancelled, demoted, promoted } = await reconcileEventRsvps(occurrence);
+            rsvpChanges.cancelled.push(...cancelled.map(entry => ({ event: occurrence._id, ...entry })));
+            rsvpChanges.demoted += demoted;
+            rsvpChanges.promoted += promoted;
+        }
+        // Only drop the old image once the new one is saved; a failed update removes the new upload instead
+        if (req.file) await releaseEventImages(targets);
+
+        res.json({
+            message: wholeSeries ? `Updated all ${updated.length} occurrences of the series.` : 'Event updated successfully.',
+            event: updated.find(e => String(e._id) === String(event._id)),
+            updatedCount: updated.length,
+            rsvpChanges
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while updating event.' });
+    }
+});
+
+// ?scope=series deletes every occurrence of a recurring event
+app.delete('/api/events/:id', authMiddleware, requirePermission('event.manage'), async (req, res) => {
     try {
-        const event = await Event.findById(req.params.id);
+        const event = await Event.findById(req.params.id).lean();
         if (!event) return res.status(404).json({ message: 'Event not found.' });
-        if (event.imageUrl) await deleteS3Object(event.imageUrl);
-        await Event.findByIdAndDelete(req.params.id);
-        res.json({ message: 'Event deleted successfully.' });
+        const wholeSeries = req.query.scope === 'series';
+        if (wholeSeries && !event.series) return res.status(400).json({ message: 'This event is not part of a recurring series.' });
+
+        const targets = wholeSeries ? await Event.find({ series: event.series }).lean() : [event];
+        const targetIds = targets.map(t => t._id);
+        await EventRsvp.deleteMany({ event: { $in: targetIds } });
+        await Event.deleteMany({ _id: { $in: targetIds } });
+        await releaseEventImages(targets);
+        res.json({ message: wholeSeries ? `Deleted all ${targets.length} occurrences of the series.` : 'Event deleted successfully.' });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error while deleting event.' });
     }
 });
 
-app.delete('/api/highlights/:id', authMiddleware, isCommunityManager, async (req, res) => {
+app.delete('/api/highlights/:id', authMiddleware, requirePermission('highlight.manage'), async (req, res) => {
     try {
         const highlight = await Highlight.findById(req.params.id);
         if (!highlight) return res.status(404).json({ message: 'Highlight not found.' });
-        await deleteS3Object(highlight.imageUrl);
+        await deleteStoredImage(highlight);
         await Highlight.findByIdAndDelete(req.params.id);
         res.json({ message: 'Highlight deleted successfully.' });
     } catch (error) {
@@ -837,8 +3348,8 @@ app.delete('/api/highlights/:id', authMiddleware, isCommunityManager, async (req
 app.get('/api/staff', async (req, res) => {
     try {
         const staffRoles = User.schema.path('role').enumValues.filter(r => r !== 'pilot');
-        const staffMembers = await User.find({ role: { $in: staffRoles } }).select('-password').sort({ createdAt: -1 }).lean();
-        res.json(staffMembers);
+        const staffMembers = await User.find({ role: { $in: staffRoles } }).select('-password -passwordResetTokenHash -passwordResetExpires').sort({ createdAt: -1 }).lean();
+        res.json(staffMembers.map(withoutPrivateFields));
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error while fetching staff members.' });
@@ -852,17 +3363,63 @@ app.post('/api/login', async (req, res) => {
         if (!user) return res.status(400).json({ message: 'Invalid email or password.' });
         const validPassword = await bcrypt.compare(password, user.password);
         if (!validPassword) return res.status(400).json({ message: 'Invalid email or password.' });
-        const token = jwt.sign({ _id: user._id, role: user.role, name: user.name }, process.env.JWT_SECRET, { expiresIn: '3h' });
-        res.json({ token });
+        const tokens = await createSession(user, req);
+        res.json(tokens);
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error during login.' });
     }
 });
 
+app.post('/api/token/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+        if (!refreshToken) return res.status(400).json({ message: 'Refresh token is required.' });
+
+        // Rotate: the presented refresh token is replaced and can never be used again. Matching on the old
+        // hash in the same update means only one of two concurrent refreshes with a token can succeed.
+        const newRefreshToken = crypto.randomBytes(48).toString('hex');
+        const session = await Session.findOneAndUpdate(
+            { refreshTokenHash: hashToken(String(refreshToken)), revokedAt: null, expiresAt: { $gt: new Date() } },
+            { refreshTokenHash: hashToken(newRefreshToken), lastUsedAt: Date.now() },
+            { new: true }
+        );
+        if (!session) return res.status(401).json({ message: 'Session is no longer valid. Please log in again.' });
+        const user = await User.findById(session.user);
+        if (!user) return res.status(401).json({ message: 'Account no longer exists.' });
+
+        res.json({ token: signAccessToken(user, session._id), refreshToken: newRefreshToken });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error while refreshing session.' });
+    }
+});
+
+app.post('/api/logout', authMiddleware, async (req, res) => {
+    try {
+        await Session.updateOne({ _id: req.user.sid }, { revokedAt: Date.now() });
+        res.json({ message: 'Logged out successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
+app.post('/api/logout-all', authMiddleware, async (req, res) => {
+    try {
+        const count = await revokeUserSessions(req.user._id);
+        res.json({ message: `Logged out of ${count} session(s) on all devices.` });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error during logout.' });
+    }
+});
+
 app.get('/api/me', authMiddleware, async (req, res) => {
     try {
-        const user = await User.findById(req.user._id).select('-password');
+        const user = await User.findById(req.user._id)
+            .select('-password -passwordResetTokenHash -passwordResetExpires')
+            .populate('badges.achievement', 'key name description iconUrl');
         if (!user) return res.status(404).json({ message: 'User not found.' });
         res.json(user);
     } catch (err) {
@@ -871,20 +3428,22 @@ app.get('/api/me', authMiddleware, async (req, res) => {
     }
 });
 
-app.put('/api/me', authMiddleware, upload.single('profilePicture'), async (req, res) => {
+app.put('/api/me', authMiddleware, acceptUpload('profilePicture'), async (req, res) => {
     try {
         const { name, bio, discord, ifc, youtube, preferredContact } = req.body;
         const updatedData = { name, bio, discord, ifc, youtube, preferredContact };
 
+        const oldUser = req.file ? await User.findById(req.user._id).select('imageUrl imageUrls').lean() : null;
         if (req.file) {
-            const oldUser = await User.findById(req.user._id);
-            if (oldUser?.imageUrl) await deleteS3Object(oldUser.imageUrl);
             updatedData.imageUrl = req.file.location;
+            updatedData.imageUrls = req.file.imageUrls;
         }
 
-        const user = await User.findByIdAndUpdate(req.user._id, updatedData, { new: true }).select('-password');
+        const user = await User.findByIdAndUpdate(req.user._id, updatedData, { new: true }).select('-password -passwordResetTokenHash -passwordResetExpires');
         if (!user) return res.status(404).json({ message: 'User not found.' });
-        const token = jwt.sign({ _id: user._id, role: user.role, name: user.name }, process.env.JWT_SECRET, { expiresIn: '3h' });
+        // Only drop the old picture once the new one is saved; a failed update removes the new upload instead
+        if (oldUser) deleteStoredImage(oldUser);
+        const token = signAccessToken(user, req.user.sid);
         res.json({ message: 'Profile updated successfully!', user, token });
     } catch (error) {
         console.error(error);
@@ -893,36 +3452,323 @@ app.put('/api/me', authMiddleware, upload.single('profilePicture'), async (req,
     }
 });
 
-app.post('/api/me/password', authMiddleware, async (req, res) => {
+app.put('/api/me/privacy', authMiddleware, async (req, res) => {
+    try {
+        const { privateFields } = req.body;
+        if (!Array.isArray(privateFields)) return res.status(400).json({ message: 'privateFields must be a list of profile sections.' });
+        const unknown = privateFields.filter(field => !profilePrivacyFields.includes(field));
+        if (unknown.length > 0) {
+            return res.status(400).json({ message: `Unknown profile sections: ${unknown.join(', ')}. Choose from: ${profilePrivacyFields.join(', ')}.` });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { privateFields: [...new Set(privateFields)] }, { new: true }).select('privateFields');
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+        invalidateStatsCache(); // Leaderboards show avatars unless the image is private
+        res.json({ message: 'Privacy settings updated.', privateFields: user.privateFields });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while updating privacy settings.' });
+    }
+});
+
+// Public pilot profile. Sections listed in the pilot's privateFields are left out of the response.
+app.get('/api/pilots/:callsign', async (req, res) => {
+    try {
+        const pilot = await User.findOne({ callsign: String(req.params.callsign).toUpperCase().trim() })
+            .select('name callsign rank flightHours bio imageUrl imageUrls discord ifc youtube preferredContact privateFields badges createdAt')
+            .populate('badges.achievement', 'key name description iconUrl')
+            .lean();
+        if (!pilot) return res.status(404).json({ message: 'Pilot not found.' });
+
+        const hidden = new Set(pilot.privateFields || []);
+        const shows = (section) => !hidden.has(section);
+        const approved = { pilot: pilot._id, status: 'APPROVED' };
+
+        const [career, recentFlights, departures, arrivals] = await Promise.all([
+            shows('stats') ? Pirep.aggregate([
+                { $match: approved },
+                { $group: {
+                    _id: null, flights: { $sum: 1 }, hours: { $sum: '$flightTime' }, creditedHours: { $sum: creditedHours },
+                    longestFlight: { $max: '$flightTime' }, aircraft: { $addToSet: '$aircraft' },
+                    firstFlightAt: { $min: '$createdAt' }, lastFlightAt: { $max: '$createdAt' }
+                } }
+            ]) : null,
+            shows('recentFlights') ? Pirep.find(approved)
+                .select('-_id flightNumber departure arrival aircraft operator flightTime createdAt')
+                .sort({ createdAt: -1 })
+                .limit(10)
+                .lean() : null,
+            shows('airportsVisited') ? Pirep.distinct('departure', approved) : null,
+            shows('airportsVisited') ? Pirep.distinct('arrival', approved) : null
+        ]);
+
+        const profile = { callsign: pilot.callsign, name: pilot.name, rank: pilot.rank, memberSince: pilot.createdAt };
+        if (shows('bio')) profile.bio = pilot.bio;
+        if (shows('image')) {
+            profile.imageUrl = pilot.imageUrl;
+            profile.imageUrls = pilot.imageUrls;
+        }
+        if (shows('contact')) {
+            profile.contact = pilot.preferredContact !== 'none' && pilot[pilot.preferredContact]
+                ? { method: pilot.preferredContact, handle: pilot[pilot.preferredContact] }
+                : null;
+        }
+        if (career) {
+            const [totals] = career;
+            profile.stats = {
+                flights: totals?.flights || 0,
+                hours: Math.round((totals?.hours || 0) * 100) / 100,
+                creditedHours: Math.round((totals?.creditedHours || 0) * 100) / 100,
+                averageFlightTime: totals ? Math.round((totals.hours / totals.flights) * 100) / 100 : 0,
+                longestFlight: totals?.longestFlight || 0,
+                aircraftTypes: totals?.aircraft.length || 0,
+                firstFlightAt: totals?.firstFlightAt || null,
+                lastFlightAt: totals?.lastFlightAt || null
+            };
+        }
+        if (recentFlights) profile.recentFlights = recentFlights;
+        if (departures) {
+            const visited = [...new Set([...departures, ...arrivals])].sort();
+            profile.airportsVisited = { count: visited.length, airports: visited };
+        }
+        if (shows('rankProgress')) profile.rankProgress = buildRankProgress(pilot);
+        if (shows('badges')) profile.badges = presentBadges(pilot.badges);
+
+        res.json(profile);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching pilot profile.' });
+    }
+});
+
+app.post('/api/me/password', authMiddleware, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+        if (!currentPassword || !newPassword || newPassword.length < 6) {
+            return res.status(400).json({ message: 'Current password is required, and the new password must be at least 6 characters long.' });
+        }
+        const user = await User.findById(req.user._id);
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+
+        const isMatch = await bcrypt.compare(currentPassword, user.password);
+        if (!isMatch) return res.status(400).json({ message: 'Incorrect current password.' });
+
+        const salt = await bcrypt.genSalt(10);
+        user.password = await bcrypt.hash(newPassword, salt);
+        await user.save();
+        res.json({ message: 'Password updated successfully!' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error while updating password.' });
+    }
+});
+
+
+// --- Pilot Application & Recruitment Routes ---
+app.post('/api/applications', async (req, res) => {
+    try {
+        const { email, password, name, ifc, discord, desiredCallsign } = req.body;
+        if (!email || !password || !name || !ifc || !desiredCallsign) {
+            return res.status(400).json({ message: 'Email, password, name, IFC username and desired callsign are required.' });
+        }
+        if (password.length < 6) {
+            return res.status(400).json({ message: 'Password must be at least 6 characters long.' });
+        }
+
+        const normalizedEmail = String(email).toLowerCase().trim();
+        const normalizedCallsign = String(desiredCallsign).trim().toUpperCase();
+        if (!isValidEmail(normalizedEmail)) return res.status(400).json({ message: 'Invalid email address.' });
+        if (!isValidCallsign(normalizedCallsign)) return res.status(400).json({ message: 'Invalid callsign format.' });
+
+        if (await User.exists({ email: normalizedEmail })) {
+            return res.status(400).json({ message: 'An account with this email already exists.' });
+        }
+        if (await User.exists({ callsign: normalizedCallsign })) {
+            return res.status(400).json({ message: 'This callsign is already taken. Please choose another.' });
+        }
+        if (await PilotApplication.exists({ email: normalizedEmail, status: 'PENDING' })) {
+            return res.status(400).json({ message: 'An application with this email is already awaiting review.' });
+        }
+
+        const salt = await bcrypt.genSalt(10);
+        const application = new PilotApplication({
+            email: normalizedEmail,
+            password: await bcrypt.hash(password, salt),
+            name,
+            ifc,
+            discord,
+            desiredCallsign: normalizedCallsign
+        });
+        await application.save();
+
+        res.status(201).json({ message: 'Application submitted successfully! Our recruitment team will review it shortly.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while submitting application.' });
+    }
+});
+
+app.get('/api/applications', authMiddleware, requirePermission('application.review'), async (req, res) => {
+    try {
+        const status = req.query.status || 'PENDING';
+        if (!PilotApplication.schema.path('status').enumValues.includes(status)) {
+            return res.status(400).json({ message: 'Invalid application status specified.' });
+        }
+        const applications = await PilotApplication.find({ status })
+            .select('-password')
+            .populate('reviewedBy', 'name callsign')
+            .sort({ createdAt: 'asc' })
+            .lean();
+        res.json(applications);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching applications.' });
+    }
+});
+
+app.put('/api/applications/:applicationId/accept', authMiddleware, requirePermission('application.review'), async (req, res) => {
+    try {
+        const application = await PilotApplication.findById(req.params.applicationId);
+        if (!application) return res.status(404).json({ message: 'Application not found.' });
+        if (application.status !== 'PENDING') return res.status(400).json({ message: `This application has already been ${application.status.toLowerCase()}.` });
+
+        // Reviewers may assign a different callsign than the one requested
+        const callsign = String(req.body.callsign || application.desiredCallsign).trim().toUpperCase();
+        if (!isValidCallsign(callsign)) return res.status(400).json({ message: 'Invalid callsign format.' });
+
+        const user = new User({
+            email: application.email,
+            password: application.password,
+            name: application.name,
+            ifc: application.ifc,
+            discord: application.discord,
+            callsign,
+            role: 'pilot',
+            rank: 'IndGo Cadet'
+        });
+        await user.save();
+
+        application.status = 'ACCEPTED';
+        application.reviewedBy = req.user._id;
+        application.reviewedAt = Date.now();
+        application.createdUser = user._id;
+        await application.save();
+
+        updateGoogleSheet({ callsign, name: user.name, rank: user.rank, flightHours: user.flightHours || 0 });
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'APPLICATION_ACCEPT', targetUser: user._id,
+            details: `Accepted pilot application from ${application.email} and assigned callsign ${callsign}.`
+        });
+        await log.save();
+
+        const userResponse = user.toObject();
+        delete userResponse.password;
+        res.json({ message: `Application accepted. ${user.name} has joined as ${callsign}.`, user: userResponse });
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) {
+            return res.status(400).json({ message: `A user with this ${Object.keys(error.keyValue)[0]} already exists.` });
+        }
+        res.status(500).json({ message: 'Server error while accepting application.' });
+    }
+});
+
+app.put('/api/applications/:applicationId/reject', authMiddleware, requirePermission('application.review'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) return res.status(400).json({ message: 'A reason for rejection is required.' });
+
+        const application = await PilotApplication.findById(req.params.applicationId);
+        if (!application) return res.status(404).json({ message: 'Application not found.' });
+        if (application.status !== 'PENDING') return res.status(400).json({ message: `This application was already ${application.status.toLowerCase()}.` });
+
+        application.status = 'REJECTED';
+        application.rejectionReason = reason;
+        application.reviewedBy = req.user._id;
+        application.reviewedAt = Date.now();
+        await application.save();
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'APPLICATION_REJECT',
+            details: `Rejected pilot application from ${application.email}: ${reason}`
+        });
+        await log.save();
+
+        res.json({ message: 'Application has been rejected.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while rejecting application.' });
+    }
+});
+
+
+app.get('/api/me/ftpl', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id).lean();
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+
+        const status = await computeFtplStatus(user);
+        res.json({
+            ...status,
+            limits: status.limits.map(({ availableAtFor, ...limit }) => limit)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while calculating flight time limits.' });
+    }
+});
+
+app.post('/api/forgot-password', async (req, res) => {
+    // Always answer the same way so the endpoint cannot be used to discover registered emails
+    const genericResponse = { message: 'If an account with that email exists, a password reset link has been sent.' };
+    try {
+        const { email } = req.body;
+        if (!email) return res.status(400).json({ message: 'Email is required.' });
+
+        const user = await User.findOne({ email: String(email).toLowerCase().trim() }).select('name email').lean();
+        if (!user) return res.json(genericResponse);
+
+        await issuePasswordReset(user);
+        res.json(genericResponse);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error while requesting password reset.' });
+    }
+});
+
+app.post('/api/reset-password', async (req, res) => {
     try {
-        const { currentPassword, newPassword } = req.body;
-        if (!currentPassword || !newPassword || newPassword.length < 6) {
-            return res.status(400).json({ message: 'Current password is required, and the new password must be at least 6 characters long.' });
+        const { token, newPassword } = req.body;
+        if (!token || !newPassword || newPassword.length < 6) {
+            return res.status(400).json({ message: 'A reset token is required, and the new password must be at least 6 characters long.' });
         }
-        const user = await User.findById(req.user._id);
-        if (!user) return res.status(404).json({ message: 'User not found.' });
-
-        const isMatch = await bcrypt.compare(currentPassword, user.password);
-        if (!isMatch) return res.status(400).json({ message: 'Incorrect current password.' });
 
+        // Consume the token in the same update that sets the password, so it only ever works once
         const salt = await bcrypt.genSalt(10);
-        user.password = await bcrypt.hash(newPassword, salt);
-        await user.save();
-        res.json({ message: 'Password updated successfully!' });
+        const user = await User.findOneAndUpdate(
+            { passwordResetTokenHash: hashToken(String(token)), passwordResetExpires: { $gt: new Date() } },
+            { $set: { password: await bcrypt.hash(newPassword, salt), passwordResetTokenHash: null, passwordResetExpires: null } }
+        );
+        if (!user) return res.status(400).json({ message: 'This password reset link is invalid or has expired.' });
+        await revokeUserSessions(user._id);
+
+        res.json({ message: 'Password has been reset successfully. You can now log in.' });
     } catch (err) {
         console.error(err);
-        res.status(500).json({ message: 'Server error while updating password.' });
+        res.status(500).json({ message: 'Server error while resetting password.' });
     }
 });
 
 
 // --- PIREP Workflow Routes ---
-app.post('/api/pireps', authMiddleware, upload.single('verificationImage'), async (req, res) => {
+app.post('/api/pireps', authMiddleware, acceptUpload('verificationImage'), async (req, res) => {
     try {
         const { flightNumber, departure, arrival, aircraft, flightTime, remarks } = req.body;
 
-        if (!req.file) {
-            return res.status(400).json({ message: 'A verification image of the flight is required.' });
+        const imageUrls = uploadedFiles(req).map(file => file.location);
+        if (imageUrls.length === 0) {
+            return res.status(400).json({ message: 'At least one verification image of the flight is required.' });
         }
 
         if (!flightNumber || !departure || !arrival || !aircraft || !flightTime) {
@@ -936,12 +3782,16 @@ app.post('/api/pireps', authMiddleware, upload.single('verificationImage'), asyn
             pilot: req.user._id, flightNumber, departure, arrival, aircraft, remarks,
             flightTime: parseFloat(flightTime),
             status: 'PENDING',
-            verificationImageUrl: req.file.location, // Store the S3 image URL
+            verificationImageUrl: imageUrls[0], // Store the uploaded image URLs
+            verificationImageUrls: imageUrls,
             isMultiplierEligible: false // Default to false
         };
 
         if (pilot.dutyStatus === 'ON_DUTY') {
             if (!pilot.currentRoster) return res.status(400).json({ message: 'You are on duty but have no assigned roster. Please contact staff.' });
+            if (pilot.lastDutyStart && (Date.now() - pilot.lastDutyStart) > MAX_DUTY_PERIOD) {
+                return res.status(403).json({ message: `Your duty has exceeded the ${MAX_DUTY_PERIOD / HOUR_MS}-hour maximum duty period. Please end your duty; remaining legs cannot be filed.` });
+            }
             
             await pilot.populate('currentRoster');
             const roster = pilot.currentRoster;
@@ -962,10 +3812,12 @@ app.post('/api/pireps', authMiddleware, upload.single('verificationImage'), asyn
                     message: `This roster leg requires ${requiredRank}, which is above your rank (${pilot.rank}).`
                 });
             }
-const existingPirep = await Pirep.findOne({
+            // Rejected reports don't count, so a corrected PIREP can be filed for the same leg
+            const existingPirep = await Pirep.findOne({
                 pilot: req.user._id,
                 'rosterLeg.rosterId': roster._id,
-                'rosterLeg.flightNumber': flightNumber
+                'rosterLeg.flightNumber': flightNumber,
+                status: { $ne: 'REJECTED' }
             });
 
             if (existingPirep) return res.status(400).json({ message: 'You have already filed a PIREP for this roster leg.' });
@@ -991,6 +3843,11 @@ const existingPirep = await Pirep.findOne({
         }
 
         const newPirep = new Pirep(newPirepData);
+        newPirep.revisions.push(Object.fromEntries(pirepRevisionFields.map(f => [f, newPirep[f]])));
+        Object.assign(newPirep, await assessPirepPlausibility({
+            pilot, flightNumber: newPirep.flightNumber, departure: newPirep.departure, arrival: newPirep.arrival,
+            aircraft: newPirep.aircraft, flightTime: newPirep.flightTime, filedAt: newPirep.createdAt
+        }));
         await newPirep.save();
         res.status(201).json({ message: 'Flight report submitted successfully and is pending review.', pirep: newPirep });
     } catch (error) {
@@ -1001,7 +3858,10 @@ const existingPirep = await Pirep.findOne({
 
 app.get('/api/me/pireps', authMiddleware, async (req, res) => {
     try {
-        const pireps = await Pirep.find({ pilot: req.user._id }).sort({ createdAt: -1 }).lean();
+        const pireps = await Pirep.find({ pilot: req.user._id })
+            .populate('comments.author', 'name callsign')
+            .sort({ createdAt: -1 })
+            .lean();
         res.json(pireps);
     } catch (error) {
         console.error(error);
@@ -1009,11 +3869,55 @@ app.get('/api/me/pireps', authMiddleware, async (req, res) => {
     }
 });
 
-app.get('/api/pireps/pending', authMiddleware, isPirepManager, async (req, res) => {
+// ?format=csv (default) or json; ?from and ?to limit the flights by date
+app.get('/api/me/logbook', authMiddleware, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) return res.status(400).json({ message: 'Format must be either "csv" or "json".' });
+
+        const filter = { pilot: req.user._id, status: 'APPROVED' };
+        for (const [param, operator] of [['from', '$gte'], ['to', '$lte']]) {
+            if (!req.query[param]) continue;
+            const date = new Date(req.query[param]);
+            if (isNaN(date)) return res.status(400).json({ message: `Invalid "${param}" date.` });
+            filter.createdAt = { ...filter.createdAt, [operator]: date };
+        }
+
+        const [pilot, pireps] = await Promise.all([
+            User.findById(req.user._id).select('name callsign rank flightHours').lean(),
+            Pirep.find(filter)
+                .select('flightNumber departure arrival aircraft operator flightTime hoursAwarded remarks source importedFrom createdAt')
+                .sort({ createdAt: 1 })
+                .lean()
+        ]);
+        if (!pilot) return res.status(404).json({ message: 'Pilot not found.' });
+
+        const rows = pireps.map(logbookRow);
+        const summary = summarizeLogbook(pireps);
+        const fileName = `logbook-${pilot.callsign || 'pilot'}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        if (format === 'json') {
+            return res.json({ pilot, generatedAt: new Date(), totals: summary, flights: rows });
+        }
+        res.type('text/csv').send(logbookToCsv(rows, summary));
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while exporting your logbook.' });
+    }
+});
+
+app.get('/api/pireps/pending', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
     try {
-        const pendingPireps = await Pirep.find({ status: 'PENDING' })
+        // ?sort=risk puts the riskiest reports first; otherwise oldest first
+        const sort = req.query.sort === 'risk' ? { riskScore: -1, createdAt: 1 } : { createdAt: 'asc' };
+        // ?status=NEEDS_INFO lists reports handed back to their pilots instead of those awaiting review
+        const status = req.query.status || 'PENDING';
+        if (!openPirepStatuses.includes(status)) return res.status(400).json({ message: 'Invalid status filter.' });
+        const pendingPireps = await Pirep.find({ status })
             .populate('pilot', 'name callsign')
-            .sort({ createdAt: 'asc' });
+            .populate('comments.author', 'name callsign')
+            .sort(sort);
         res.json(pendingPireps);
     } catch (error) {
         console.error(error);
@@ -1021,52 +3925,86 @@ app.get('/api/pireps/pending', authMiddleware, isPirepManager, async (req, res)
     }
 });
 
-app.put('/api/pireps/:pirepId/approve', authMiddleware, isPirepManager, async (req, res) => {
+app.post('/api/pireps/bulk-review', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
     try {
-        const pirep = await Pirep.findById(req.params.pirepId);
-        if (!pirep) return res.status(404).json({ message: 'PIREP not found.' });
-        if (pirep.status !== 'PENDING') return res.status(400).json({ message: `This PIREP has already been ${pirep.status.toLowerCase()}.` });
-
-        if (pirep.verificationImageUrl) {
-            deleteS3Object(pirep.verificationImageUrl);
+        const { action, pirepIds, reason, reasons } = req.body;
+        if (!['approve', 'reject'].includes(action)) return res.status(400).json({ message: 'Action must be either "approve" or "reject".' });
+        if (!Array.isArray(pirepIds) || pirepIds.length === 0) return res.status(400).json({ message: 'At least one PIREP ID is required.' });
+        if (pirepIds.length > 100) return res.status(400).json({ message: 'A maximum of 100 PIREPs can be reviewed at once.' });
+
+        // Rejections need a reason for every item: a per-item reason from `reasons` or the shared `reason`
+        const reasonFor = (id) => (reasons && reasons[id]) || reason;
+        if (action === 'reject') {
+            const missing = pirepIds.filter(id => !reasonFor(id));
+            if (missing.length > 0) return res.status(400).json({ message: `A rejection reason is required for: ${missing.join(', ')}.` });
         }
 
-        const pilot = await User.findById(pirep.pilot);
-        if (!pilot) return res.status(404).json({ message: 'Associated pilot profile not found.' });
-
-        let hoursToAdd = pirep.flightTime;
-        let multiplierApplied = 1;
-
-        if (pirep.isMultiplierEligible && pirep.rosterLeg && pirep.rosterLeg.rosterId) {
-            const roster = await Roster.findById(pirep.rosterLeg.rosterId);
-            if (roster && roster.multiplier > 1) {
-                hoursToAdd *= roster.multiplier;
-                multiplierApplied = roster.multiplier;
-                console.log(`Applied ${roster.multiplier}x multiplier to PIREP ${pirep._id}. Original: ${pirep.flightTime}, Awarded: ${hoursToAdd}`);
+        const results = [];
+        const promotions = new Map();
+        // Sequential on purpose: several PIREPs from the same pilot would otherwise contend for the same pilot record
+        for (const pirepId of [...new Set(pirepIds.map(String))]) {
+            if (!mongoose.isValidObjectId(pirepId)) {
+                results.push({ pirepId, result: 'not_found', message: 'PIREP not found.' });
+                continue;
+            }
+            try {
+                const outcome = action === 'approve'
+                    ? await approvePirep(pirepId, req.user._id)
+                    : await rejectPirep(pirepId, req.user._id, reasonFor(pirepId));
+
+                if (outcome.error === 'NOT_FOUND') {
+                    results.push({ pirepId, result: 'not_found', message: outcome.message });
+                } else if (outcome.error === 'ALREADY_REVIEWED') {
+                    results.push({ pirepId, result: 'already_reviewed', message: outcome.message });
+                } else if (outcome.error) {
+                    results.push({ pirepId, result: 'failed', message: outcome.message });
+                } else if (action === 'approve') {
+                    const { pilot, hoursAwarded, multiplierApplied, promotion, badgesAwarded } = outcome;
+                    results.push({
+                        pirepId, result: 'success',
+                        message: `Approved. ${pilot.name} now has ${pilot.flightHours.toFixed(2)} hours.`,
+                        pilot: { _id: pilot._id, name: pilot.name, callsign: pilot.callsign },
+                        hoursAwarded,
+                        multiplierApplied,
+                        badgesAwarded
+                    });
+                    if (promotion.promoted) {
+                        // Keyed by pilot so several promotions for one pilot in a batch report the final rank
+                        promotions.set(String(pilot._id), {
+                            pilot: { _id: pilot._id, name: pilot.name, callsign: pilot.callsign },
+                            fromRank: promotions.get(String(pilot._id))?.fromRank || promotion.previousRank,
+                            newRank: promotion.rank,
+                            flightHoursRequired: rankThresholds[promotion.rank],
+                            perks: rankPerks[promotion.rank] || []
+                        });
+                    }
+                } else {
+                    results.push({ pirepId, result: 'success', message: 'Rejected.' });
+                }
+            } catch (error) {
+                console.error(`Bulk review failed for PIREP ${pirepId}:`, error);
+                results.push({ pirepId, result: 'failed', message: 'Server error while reviewing this PIREP.' });
             }
         }
 
-        pilot.flightHours += hoursToAdd;
-        pilot.monthlyFlightHours += hoursToAdd;
-        pilot.dailyFlightHours += hoursToAdd;
-        pilot.lastKnownAirport = pirep.arrival; 
+        const summary = { success: 0, already_reviewed: 0, not_found: 0, failed: 0 };
+        results.forEach(r => { summary[r.result]++; });
 
-        const promotionResult = checkAndApplyRankUpdate(pilot);
-        
-        pirep.status = 'APPROVED';
-        pirep.reviewedBy = req.user._id;
-        pirep.reviewedAt = Date.now();
-        pirep.verificationImageUrl = null; // Clear the URL from the database
-        
-        await pilot.save();
-        await pirep.save();
+        let message = `Bulk ${action === 'approve' ? 'approval' : 'rejection'} complete: ${summary.success} succeeded, ${summary.already_reviewed} already reviewed, ${summary.not_found} not found, ${summary.failed} failed.`;
+        if (promotions.size > 0) message += ` ${promotions.size} pilot(s) promoted.`;
+        res.json({ message, summary, results, promotions: [...promotions.values()] });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while bulk reviewing PIREPs.' });
+    }
+});
 
-        if (pilot.callsign) {
-            updateGoogleSheet({
-                callsign: pilot.callsign, name: pilot.name, rank: pilot.rank, flightHours: pilot.flightHours,
-            });
-        }
-        
+app.put('/api/pireps/:pirepId/approve', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
+    try {
+        const outcome = await approvePirep(req.params.pirepId, req.user._id);
+        if (outcome.error) return res.status(reviewErrorStatus[outcome.error]).json({ message: outcome.message });
+
+        const { pilot, multiplierApplied, promotion } = outcome;
         let message = `PIREP approved. ${pilot.name} now has ${pilot.flightHours.toFixed(2)} hours.`;
         if (multiplierApplied > 1) {
             message += ` A ${multiplierApplied}x multiplier was applied!`;
@@ -1074,11 +4012,15 @@ app.put('/api/pireps/:pirepId/approve', authMiddleware, isPirepManager, async (r
 
         const responsePayload = {
             message: message,
-            promotionDetails: null
+            promotionDetails: null,
+            badgesAwarded: outcome.badgesAwarded
         };
+        if (outcome.badgesAwarded.length > 0) {
+            responsePayload.message += ` New badge${outcome.badgesAwarded.length > 1 ? 's' : ''}: ${outcome.badgesAwarded.map(b => b.name).join(', ')}.`;
+        }
 
-        if (promotionResult.promoted) {
-            const newRank = promotionResult.rank;
+        if (promotion.promoted) {
+            const newRank = promotion.rank;
             responsePayload.message += ` Congratulations on the promotion to ${newRank}!`;
             responsePayload.promotionDetails = {
                 newRank: newRank,
@@ -1095,34 +4037,241 @@ app.put('/api/pireps/:pirepId/approve', authMiddleware, isPirepManager, async (r
     }
 });
 
-app.put('/api/pireps/:pirepId/reject', authMiddleware, isPirepManager, async (req, res) => {
+app.put('/api/pireps/:pirepId/reject', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
     try {
         const { reason } = req.body;
         if (!reason) return res.status(400).json({ message: 'A reason for rejection is required.' });
 
-        const pirep = await Pirep.findById(req.params.pirepId);
+        const outcome = await rejectPirep(req.params.pirepId, req.user._id, reason);
+        if (outcome.error) return res.status(reviewErrorStatus[outcome.error]).json({ message: outcome.message });
+        
+        res.json({ message: 'PIREP has been successfully rejected.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while rejecting PIREP.' });
+    }
+});
+
+app.put('/api/pireps/:pirepId/revoke', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
+    try {
+        const { reason } = req.body;
+        if (!reason) return res.status(400).json({ message: 'A reason for revoking the PIREP is required.' });
+
+        const outcome = await revokePirep(req.params.pirepId, req.user._id, reason);
+        if (outcome.error) return res.status(reviewErrorStatus[outcome.error]).json({ message: outcome.message });
+
+        const { pirep, pilot, hoursRemoved, rankResult, airportRestored } = outcome;
+        let details = `Revoked PIREP ${pirep.flightNumber} (${pirep.departure}-${pirep.arrival}, ID: ${pirep._id}) for ${pilot.email}, removing ${hoursRemoved.toFixed(2)} hours. Reason: ${reason}`;
+        if (rankResult.demoted) details += ` Rank changed from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        if (airportRestored) details += ` Location restored to ${airportRestored}.`;
+        const log = new AdminLog({ adminUser: req.user._id, action: 'PIREP_REVOKE', targetUser: pilot._id, details });
+        await log.save();
+
+        let message = `PIREP revoked. ${hoursRemoved.toFixed(2)} hours removed; ${pilot.name} now has ${pilot.flightHours.toFixed(2)} hours.`;
+        if (rankResult.demoted) message += ` Rank changed from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        res.json({ message, hoursRemoved, rank: pilot.rank, lastKnownAirport: pilot.lastKnownAirport });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while revoking PIREP.' });
+    }
+});
+
+// --- PIREP Comment Thread ---
+// The filing pilot and anyone who can review PIREPs may read and post to a PIREP's thread.
+const canAccessPirepThread = async (pirep, user) => {
+    if (String(pirep.pilot) === String(user._id)) return { allowed: true, isStaff: false };
+    const isStaff = await roleHasPermission(user.role, 'pirep.review');
+    return { allowed: isStaff, isStaff };
+};
+
+app.get('/api/pireps/:pirepId/comments', authMiddleware, async (req, res) => {
+    try {
+        const pirep = await Pirep.findById(req.params.pirepId)
+            .select('pilot status comments')
+            .populate('comments.author', 'name callsign')
+            .lean();
+        if (!pirep) return res.status(404).json({ message: 'PIREP not found.' });
+
+        const access = await canAccessPirepThread(pirep, req.user);
+        if (!access.allowed) return res.status(403).json({ message: 'Access denied. You do not have the required permissions.' });
+        res.json({ status: pirep.status, comments: pirep.comments });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching comments.' });
+    }
+});
+
+app.post('/api/pireps/:pirepId/comments', authMiddleware, async (req, res) => {
+    try {
+        const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+        if (!body) return res.status(400).json({ message: 'Comment text is required.' });
+        if (body.length > 2000) return res.status(400).json({ message: 'Comments are limited to 2000 characters.' });
+
+        const pirep = await Pirep.findById(req.params.pirepId).select('pilot').lean();
+        if (!pirep) return res.status(404).json({ message: 'PIREP not found.' });
+
+        const access = await canAccessPirepThread(pirep, req.user);
+        if (!access.allowed) return res.status(403).json({ message: 'Access denied. You do not have the required permissions.' });
+
+        const comment = { author: req.user._id, authorIsStaff: access.isStaff, body, kind: 'COMMENT', createdAt: new Date() };
+        const updated = await Pirep.findByIdAndUpdate(pirep._id, { $push: { comments: comment } }, { new: true })
+            .select('comments')
+            .populate('comments.author', 'name callsign');
+        res.status(201).json({ message: 'Comment posted.', comment: updated.comments[updated.comments.length - 1] });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while posting comment.' });
+    }
+});
+
+// Hands a pending PIREP back to its pilot with a question; it leaves the review queue until they answer
+app.put('/api/pireps/:pirepId/request-info', authMiddleware, requirePermission('pirep.review'), async (req, res) => {
+    try {
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!message) return res.status(400).json({ message: 'A message explaining what information is needed is required.' });
+        if (message.length > 2000) return res.status(400).json({ message: 'Comments are limited to 2000 characters.' });
+
+        const pirep = await Pirep.findOneAndUpdate(
+            { _id: req.params.pirepId, status: 'PENDING' },
+            {
+                $set: { status: 'NEEDS_INFO' },
+                $push: { comments: { author: req.user._id, authorIsStaff: true, body: message, kind: 'INFO_REQUEST', createdAt: new Date() } }
+            },
+            { new: true }
+        );
+        if (!pirep) {
+            const existing = await Pirep.findById(req.params.pirepId).select('status').lean();
+            if (!existing) return res.status(404).json({ message: 'PIREP not found.' });
+            return res.status(409).json({ message: `Only pending PIREPs can be handed back; this one is ${existing.status.toLowerCase().replace('_', ' ')}.` });
+        }
+        res.json({ message: 'The pilot has been asked for more information.', pirep });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while requesting information.' });
+    }
+});
+
+// The pilot's answer to an info request. Extra verification images are optional; the report returns to the queue.
+// Uploaded images are removed again by acceptUpload whenever this route answers with an error.
+app.put('/api/pireps/:pirepId/provide-info', authMiddleware, acceptUpload('verificationImage'), async (req, res) => {
+    try {
+        const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+        if (!message) return res.status(400).json({ message: 'A reply to the reviewer is required.' });
+        if (message.length > 2000) return res.status(400).json({ message: 'Comments are limited to 2000 characters.' });
+
+        const pirep = await Pirep.findOne({ _id: req.params.pirepId, pilot: req.user._id }).select('status verificationImageUrl verificationImageUrls').lean();
         if (!pirep) return res.status(404).json({ message: 'PIREP not found.' });
-        if (pirep.status !== 'PENDING') return res.status(400).json({ message: `This PIREP was already ${pirep.status.toLowerCase()}.` });
+        if (pirep.status !== 'NEEDS_INFO') return res.status(400).json({ message: 'This PIREP is not waiting for more information.' });
 
-        if (pirep.verificationImageUrl) {
-            await deleteS3Object(pirep.verificationImageUrl);
+        const imageUrls = [...pirepImageUrls(pirep), ...uploadedFiles(req).map(file => file.location)];
+        const maxImages = uploadRules.verificationImage.maxCount;
+        if (imageUrls.length > maxImages) {
+            return res.status(400).json({ message: `A PIREP can carry at most ${maxImages} verification images.` });
         }
-        
-        pirep.status = 'REJECTED';
-        pirep.rejectionReason = reason;
-        pirep.reviewedBy = req.user._id;
-        pirep.reviewedAt = Date.now();
-        pirep.verificationImageUrl = null; // Clear the URL
+
+        const updated = await Pirep.findOneAndUpdate(
+            { _id: pirep._id, status: 'NEEDS_INFO' },
+            {
+                $set: { status: 'PENDING', verificationImageUrl: imageUrls[0] || null, verificationImageUrls: imageUrls },
+                $push: { comments: { author: req.user._id, authorIsStaff: false, body: message, kind: 'INFO_PROVIDED', createdAt: new Date() } }
+            },
+            { new: true }
+        );
+        if (!updated) return res.status(409).json({ message: 'This PIREP was reviewed in the meantime.' });
+
+        res.json({ message: 'Thanks, your flight report is back in the review queue.', pirep: updated });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while providing information.' });
+    }
+});
+
+// The new images are already uploaded by the time we validate; acceptUpload removes them if the resubmission is refused
+app.put('/api/pireps/:pirepId/resubmit', authMiddleware, acceptUpload('verificationImage'), async (req, res) => {
+    try {
+        const imageUrls = uploadedFiles(req).map(file => file.location);
+        if (imageUrls.length === 0) return res.status(400).json({ message: 'At least one new verification image of the flight is required.' });
+
+        const pirep = await Pirep.findOne({ _id: req.params.pirepId, pilot: req.user._id });
+        if (!pirep) return res.status(404).json({ message: 'PIREP not found.' });
+        if (pirep.status !== 'REJECTED') return res.status(400).json({ message: 'Only rejected PIREPs can be amended and resubmitted.' });
+
+        const pilot = await User.findById(req.user._id);
+        if (!pilot) return res.status(404).json({ message: 'Pilot not found.' });
+
+        // Legacy PIREPs filed before revision history existed get their original submission recorded first
+        if (pirep.revisions.length === 0) {
+            pirep.revisions.push({
+                ...Object.fromEntries(pirepRevisionFields.map(f => [f, pirep[f]])),
+                submittedAt: pirep.createdAt,
+                rejectionReason: pirep.rejectionReason,
+                rejectedBy: pirep.reviewedBy,
+                rejectedAt: pirep.reviewedAt
+            });
+        }
+
+        const updates = {};
+        for (const field of pirepRevisionFields) {
+            if (req.body[field] === undefined || req.body[field] === '') continue;
+            updates[field] = field === 'flightTime' ? parseFloat(req.body[field]) : String(req.body[field]).trim();
+        }
+        if (updates.departure) updates.departure = updates.departure.toUpperCase();
+        if (updates.arrival) updates.arrival = updates.arrival.toUpperCase();
+        if (updates.flightTime !== undefined && (isNaN(updates.flightTime) || updates.flightTime < 0.1)) {
+            return res.status(400).json({ message: 'Flight time must be at least 0.1 hours.' });
+        }
+
+        if (pirep.rosterLeg?.rosterId) {
+            // The leg identity is fixed for roster PIREPs; only the flown details can be corrected
+            const legFields = ['flightNumber', 'departure', 'arrival'].filter(f => updates[f] !== undefined && updates[f].toUpperCase() !== String(pirep[f]).toUpperCase());
+            if (legFields.length > 0) {
+                return res.status(400).json({ message: `The ${legFields.join(', ')} of a roster leg PIREP cannot be changed.` });
+            }
+            const refiled = await Pirep.exists({
+                _id: { $ne: pirep._id },
+                pilot: pilot._id,
+                'rosterLeg.rosterId': pirep.rosterLeg.rosterId,
+                'rosterLeg.flightNumber': pirep.rosterLeg.flightNumber,
+                status: { $ne: 'REJECTED' }
+            });
+            if (refiled) return res.status(400).json({ message: 'You have already filed another PIREP for this roster leg.' });
+        } else if (updates.aircraft) {
+            const neededRank = deduceRankFromAircraft(updates.aircraft);
+            if (!canFlyLeg(pilot.rank, neededRank)) {
+                return res.status(403).json({ message: `This aircraft/route requires ${neededRank}, which is above your rank (${pilot.rank}).` });
+            }
+            pirep.rankUnlock = neededRank;
+        }
+
+        const previous = pirep.revisions[pirep.revisions.length - 1];
+        Object.assign(pirep, updates);
+        const changedFields = pirepRevisionFields.filter(f => String(pirep[f] ?? '') !== String(previous?.[f] ?? ''));
+        pirep.revisions.push({
+            ...Object.fromEntries(pirepRevisionFields.map(f => [f, pirep[f]])),
+            changedFields
+        });
+
+        Object.assign(pirep, await assessPirepPlausibility({
+            pilot, flightNumber: pirep.flightNumber, departure: pirep.departure, arrival: pirep.arrival,
+            aircraft: pirep.aircraft, flightTime: pirep.flightTime, filedAt: pirep.createdAt, excludeId: pirep._id
+        }));
+
+        pirep.status = 'PENDING';
+        pirep.verificationImageUrl = imageUrls[0];
+        pirep.verificationImageUrls = imageUrls;
+        pirep.rejectionReason = null;
+        pirep.reviewedBy = null;
+        pirep.reviewedAt = null;
         await pirep.save();
-        
-        res.json({ message: 'PIREP has been successfully rejected.' });
+
+        res.json({ message: 'Flight report resubmitted successfully and is pending review.', pirep });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ message: 'Server error while rejecting PIREP.' });
+        res.status(500).json({ message: 'Server error while resubmitting flight report.' });
     }
 });
 
-app.put('/api/users/:userId/rank', authMiddleware, isPilotManager, async (req, res) => {
+app.put('/api/users/:userId/rank', authMiddleware, requirePermission('rank.manage'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { newRank } = req.body;
@@ -1143,15 +4292,283 @@ app.put('/api/users/:userId/rank', authMiddleware, isPilotManager, async (req, r
     }
 });
 
+app.get('/api/users/:userId/hours', authMiddleware, requirePermission('hours.adjust'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId).select('name callsign flightHours').lean();
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+
+        const entries = await HourTransaction.find({ pilot: user._id })
+            .populate('pirep', 'flightNumber departure arrival flightTime')
+            .populate('createdBy', 'name callsign')
+            .sort({ createdAt: 1 })
+            .lean();
+        const ledgerTotal = entries.reduce((sum, e) => sum + e.amount, 0);
+        res.json({
+            user,
+            entries,
+            ledgerTotal,
+            storedTotal: user.flightHours,
+            // A pilot with no entries yet has never had hours changed since the ledger was introduced
+            inSync: entries.length === 0 || Math.abs(ledgerTotal - user.flightHours) < 1e-6
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching hour ledger.' });
+    }
+});
+
+app.post('/api/users/:userId/hours/adjust', authMiddleware, requirePermission('hours.adjust'), async (req, res) => {
+    try {
+        const amount = parseFloat(req.body.amount);
+        const { reason } = req.body;
+        if (!Number.isFinite(amount) || amount === 0) return res.status(400).json({ message: 'A non-zero amount of hours is required.' });
+        if (!reason) return res.status(400).json({ message: 'A reason for the adjustment is required.' });
+
+        const outcome = await withTransaction(async (session) => {
+            const current = await User.findById(req.params.userId).select('flightHours').session(session).lean();
+            if (!current) return null;
+            if (current.flightHours + amount < 0) return { error: `This adjustment would take the pilot below zero hours (currently ${current.flightHours.toFixed(2)}).` };
+            return adjustPilotHours({
+                pilotId: current._id, amount, type: 'MANUAL_ADJUSTMENT', createdBy: req.user._id, note: reason
+            }, session);
+        });
+        if (!outcome) return res.status(404).json({ message: 'User not found.' });
+        if (outcome.error) return res.status(400).json({ message: outcome.error });
+
+        const { pilot, rankResult } = outcome;
+        syncPilotToSheet(pilot);
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'HOURS_ADJUST', targetUser: pilot._id,
+            details: `Adjusted ${pilot.email}'s flight hours by ${amount > 0 ? '+' : ''}${amount.toFixed(2)} to ${pilot.flightHours.toFixed(2)}. Reason: ${reason}`
+        });
+        await log.save();
+
+        let message = `${pilot.name} now has ${pilot.flightHours.toFixed(2)} hours.`;
+        if (rankResult.promoted || rankResult.demoted) message += ` Rank changed from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        res.json({ message, flightHours: pilot.flightHours, rank: pilot.rank });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while adjusting flight hours.' });
+    }
+});
+
+app.post('/api/users/:userId/hours/reconcile', authMiddleware, requirePermission('hours.adjust'), async (req, res) => {
+    try {
+        const outcome = await withTransaction(async (session) => {
+            const current = await User.findById(req.params.userId).select('flightHours rank').session(session).lean();
+            if (!current) return null;
+            const [totals] = await HourTransaction.aggregate([
+                { $match: { pilot: current._id } },
+                { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+            ]).session(session);
+            if (!totals) return { status: 400, error: 'This pilot has no hour ledger entries to reconcile against.' };
+
+            const previousHours = current.flightHours;
+            const difference = totals.total - previousHours;
+            if (Math.abs(difference) < 1e-6) return { inSync: true, flightHours: previousHours };
+
+            // Apply the correction as a delta against the balance we checked, so a concurrent change isn't overwritten
+            const pilot = await User.findOneAndUpdate(
+                { _id: current._id, flightHours: previousHours },
+                { $inc: { flightHours: difference } },
+                { new: true, session }
+            );
+            if (!pilot) return { status: 409, error: 'The pilot\'s hours changed while reconciling. Please try again.' };
+            try {
+                const rankResult = checkAndApplyRankUpdate(pilot);
+                if (rankResult.promoted || rankResult.demoted) {
+                    await User.updateOne({ _id: pilot._id }, { rank: pilot.rank }, { session });
+                }
+                // The ledger is the source of truth; record the correction so the ledger and balance agree afterwards
+                await HourTransaction.create([{
+                    pilot: pilot._id, amount: 0, type: 'RECONCILIATION', balanceAfter: pilot.flightHours, createdBy: req.user._id,
+                    note: `Stored balance corrected from ${previousHours.toFixed(2)} to the ledger total of ${totals.total.toFixed(2)}.`
+                }], { session });
+                return { pilot, previousHours, ledgerTotal: totals.total, rankResult };
+            } catch (error) {
+                // Without a transaction, put the balance and rank back so nothing changes without a ledger entry
+                if (!session) await User.updateOne({ _id: pilot._id }, { $inc: { flightHours: -difference }, $set: { rank: current.rank } });
+                throw error;
+            }
+        });
+        if (!outcome) return res.status(404).json({ message: 'User not found.' });
+        if (outcome.error) return res.status(outcome.status).json({ message: outcome.error });
+        if (outcome.inSync) return res.json({ message: 'Flight hours already match the ledger.', flightHours: outcome.flightHours });
+
+        const { pilot, previousHours, ledgerTotal, rankResult } = outcome;
+        syncPilotToSheet(pilot);
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'HOURS_ADJUST', targetUser: pilot._id,
+            details: `Reconciled ${pilot.email}'s flight hours from ${previousHours.toFixed(2)} to the ledger total of ${ledgerTotal.toFixed(2)}.`
+        });
+        await log.save();
+
+        let message = `Flight hours corrected from ${previousHours.toFixed(2)} to ${pilot.flightHours.toFixed(2)}.`;
+        if (rankResult.promoted || rankResult.demoted) message += ` Rank changed from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        res.json({ message, flightHours: pilot.flightHours, rank: pilot.rank });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while reconciling flight hours.' });
+    }
+});
+
+
+// Loads a pilot's historical flights from another virtual airline. The body is the CSV itself (Content-Type: text/csv);
+// ?source names the airline it came from and ?dryRun=true validates without importing anything.
+app.post('/api/users/:userId/logbook/import', authMiddleware, requirePermission('logbook.import'), express.text({ type: 'text/csv', limit: '2mb' }), async (req, res) => {
+    try {
+        const source = String(req.query.source || '').trim();
+        if (!source) return res.status(400).json({ message: 'The name of the airline the logbook comes from (?source=) is required.' });
+        if (typeof req.body !== 'string' || !req.body.trim()) return res.status(400).json({ message: 'Send the logbook as a CSV body with Content-Type: text/csv.' });
+
+        const pilot = await User.findById(req.params.userId).select('name email flightHours').lean();
+        if (!pilot) return res.status(404).json({ message: 'User not found.' });
+
+        const alreadyImported = await Pirep.find({ pilot: pilot._id, source: 'IMPORT' }).select('flightNumber departure arrival createdAt').lean();
+        const result = parseLogbookImport(req.body, {
+            pilot, reviewerId: req.user._id, source, existingKeys: alreadyImported.map(importDuplicateKey)
+        });
+        if (result.error) return res.status(400).json({ message: result.error });
+
+        const { flights, rejected } = result;
+        const hours = round2(flights.reduce((total, flight) => total + flight.flightTime, 0));
+        if (req.query.dryRun === 'true' || flights.length === 0) {
+            return res.json({
+                message: flights.length === 0 ? 'No rows could be imported.' : `${flights.length} flights (${hours.toFixed(2)} hours) are ready to import.`,
+                dryRun: req.query.dryRun === 'true', importable: flights.length, hours, rejected
+            });
+        }
+
+        const outcome = await withTransaction(async (session) => {
+            const inserted = await Pirep.insertMany(flights, { session });
+            // One ledger entry per flight, so revoking a single imported PIREP later debits a matching entry
+            const breakdown = inserted.map(flight => ({
+                amount: flight.hoursAwarded, pirep: flight._id,
+                note: `Imported ${flight.flightNumber} ${flight.departure}-${flight.arrival} from ${source}.`
+            }));
+            try {
+                const adjusted = await adjustPilotHours({ pilotId: pilot._id, amount: hours, type: 'IMPORT', createdBy: req.user._id, breakdown }, session);
+                if (!adjusted && !session) await Pirep.deleteMany({ _id: { $in: inserted.map(f => f._id) } });
+                return adjusted;
+            } catch (error) {
+                // Without a transaction nothing rolls back the insert, so remove the flights to keep a retry possible
+                if (!session) await Pirep.deleteMany({ _id: { $in: inserted.map(f => f._id) } });
+                throw error;
+            }
+        });
+        if (!outcome) return res.status(404).json({ message: 'User not found.' });
+        const { pilot: updated, rankResult } = outcome;
+        syncPilotToSheet(updated);
+        invalidateStatsCache();
+        const badgesAwarded = await awardAchievements(updated._id);
+
+        let details = `Imported ${flights.length} historical flights (${hours.toFixed(2)} hours) from ${source} for ${updated.email}; ${rejected.length} rows rejected.`;
+        if (rankResult.promoted) details += ` Rank changed from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        const log = new AdminLog({ adminUser: req.user._id, action: 'LOGBOOK_IMPORT', targetUser: updated._id, details });
+        await log.save();
+
+        let message = `Imported ${flights.length} flights. ${updated.name} now has ${updated.flightHours.toFixed(2)} hours.`;
+        if (rankResult.promoted) message += ` Promoted from ${rankResult.previousRank} to ${rankResult.rank}.`;
+        res.status(201).json({ message, imported: flights.length, hours, rejected, flightHours: updated.flightHours, rank: updated.rank, badgesAwarded });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while importing the logbook.' });
+    }
+});
+
+
+// --- Route Network Routes ---
+app.post('/api/routes/sync', authMiddleware, requirePermission('route.sync'), async (req, res) => {
+    try {
+        const report = await syncRoutesFromSheets(req.user._id);
+        let message = `Route sync complete. ${report.totalRoutes} routes imported: ${report.added.length} added, ${report.changed.length} changed, ${report.removed.length} removed, ${report.rejected.length} rows rejected.`;
+        if (report.removalSkipped) {
+            message += ' Some sheets could not be read, so no routes were removed.';
+        }
+        res.status(201).json({ message, report });
+    } catch (error) {
+        console.error(error);
+        if (error.syncMisconfigured) return res.status(400).json({ message: error.message });
+        res.status(500).json({ message: 'Server error while syncing routes.' });
+    }
+});
+
+app.get('/api/routes/syncs', authMiddleware, requirePermission('route.sync'), async (req, res) => {
+    try {
+        const reports = await RouteSync.find()
+            .select('-rejected -changed')
+            .populate('triggeredBy', 'name callsign')
+            .sort({ createdAt: -1 })
+            .limit(20)
+            .lean();
+        res.json(reports);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching route sync reports.' });
+    }
+});
+
+app.get('/api/routes/syncs/:syncId', authMiddleware, requirePermission('route.sync'), async (req, res) => {
+    try {
+        const report = await RouteSync.findById(req.params.syncId).populate('triggeredBy', 'name callsign').lean();
+        if (!report) return res.status(404).json({ message: 'Route sync report not found.' });
+        res.json(report);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching route sync report.' });
+    }
+});
+
+app.get('/api/routes', authMiddleware, async (req, res) => {
+    try {
+        const { departure, arrival, aircraft, operator, rank } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+        const filter = {};
+        if (departure) filter.departure = String(departure).toUpperCase().trim();
+        if (arrival) filter.arrival = String(arrival).toUpperCase().trim();
+        if (aircraft) filter.aircraft = new RegExp(escapeRegex(aircraft), 'i');
+        if (operator) filter.operator = new RegExp(`^${escapeRegex(operator)}$`, 'i');
+        if (rank) {
+            // Routes unlocked at or below the given rank
+            const index = rankIndex(rank);
+            if (index === -1) return res.status(400).json({ message: 'Invalid rank specified.' });
+            filter.rankUnlock = { $in: pilotRanks.slice(0, index + 1) };
+        }
+
+        const [routes, total] = await Promise.all([
+            Route.find(filter).sort({ departure: 1, flightNumber: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Route.countDocuments(filter)
+        ]);
+        res.json({ routes, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching routes.' });
+    }
+});
+
+app.get('/api/routes/:routeId', authMiddleware, async (req, res) => {
+    try {
+        const route = await Route.findById(req.params.routeId).lean();
+        if (!route) return res.status(404).json({ message: 'Route not found.' });
+        res.json(route);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching route.' });
+    }
+});
+
 
 // --- NEW/ENHANCED: ROSTER & DUTY MANAGEMENT ROUTES ---
 
 app.get('/api/rosters', authMiddleware, async (req, res) => {
     try {
         const { all } = req.query;
-        // Define manager roles that can view all rosters
-        const managerRoles = ['admin', 'Chief Executive Officer (CEO)', 'Chief Operating Officer (COO)', 'Route Manager (RM)'];
-        const isManager = managerRoles.includes(req.user.role);
+        // Roster managers can view all rosters
+        const isManager = await roleHasPermission(req.user.role, 'roster.manage');
 
         // If a manager requests 'all', return everything
         if (all === 'true' && isManager) {
@@ -1167,6 +4584,7 @@ app.get('/api/rosters', authMiddleware, async (req, res) => {
 
         const rosters = await Roster.find({
             isAvailable: true,
+            _id: { $nin: await getUnavailableRosterIds(user._id) },
             'legs.0.departure': departureIcao 
         }).sort({ createdAt: -1 }).lean();
 
@@ -1199,6 +4617,7 @@ app.get('/api/rosters/my-rosters', authMiddleware, async (req, res) => {
 
         const availableRosters = await Roster.find({
             isAvailable: true,
+            _id: { $nin: await getUnavailableRosterIds(user._id) },
             'legs.0.departure': { $in: Array.from(searchLocations) }
         }).sort({ createdAt: -1 }).lean();
 
@@ -1221,10 +4640,10 @@ app.get('/api/rosters/my-rosters', authMiddleware, async (req, res) => {
 });
 
 
-app.post('/api/rosters', authMiddleware, isRouteManager, async (req, res) => {
+app.post('/api/rosters', authMiddleware, requirePermission('roster.manage'), async (req, res) => {
     try {
         
-        const { name, hub, legs, totalFlightTime } = req.body;
+        const { name, hub, legs, totalFlightTime, isExclusive } = req.body;
         if (!name || !hub || !Array.isArray(legs) || legs.length === 0) {
             return res.status(400).json({ message: 'Name, hub and at least one leg are required.' });
         }
@@ -1247,25 +4666,112 @@ app.post('/api/rosters', authMiddleware, isRouteManager, async (req, res) => {
             legs: finishedLegs, 
             totalFlightTime: computedTFT, 
             multiplier: randomMultiplier,
+            isExclusive: isExclusive === true,
             createdBy: req.user._id 
         });
 await newRoster.save();
 
-        const log = new AdminLog({ adminUser: req.user._id, action: 'ROSTER_CREATE', details: `Created new roster: "${name}"` });
-        await log.save();
-        
-        res.status(201).json(newRoster);
+        const log = new AdminLog({ adminUser: req.user._id, action: 'ROSTER_CREATE', details: `Created new roster: "${name}"` });
+        await log.save();
+        
+        res.status(201).json(newRoster);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while creating roster.' });
+    }
+});
+
+app.get('/api/rosters/profiles', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
+    try {
+        const profiles = await GenerationProfile.find().populate('createdBy', 'name callsign').sort({ name: 1 }).lean();
+        res.json({ defaults: defaultGenerationConfig, limits: generationLimits, profiles });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching generation profiles.' });
+    }
+});
+
+app.post('/api/rosters/profiles', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
+    try {
+        const { name, description, config } = req.body;
+        if (!name) return res.status(400).json({ message: 'A profile name is required.' });
+        const { error } = normalizeGenerationConfig(config || {});
+        if (error) return res.status(400).json({ message: error });
+
+        const profile = new GenerationProfile({ name, description, config: config || {}, createdBy: req.user._id });
+        await profile.save();
+        res.status(201).json(profile);
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) return res.status(400).json({ message: 'A generation profile with that name already exists.' });
+        res.status(500).json({ message: 'Server error while creating generation profile.' });
+    }
+});
+
+app.put('/api/rosters/profiles/:profileId', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
+    try {
+        const { name, description, config } = req.body;
+        if (config !== undefined) {
+            const { error } = normalizeGenerationConfig(config);
+            if (error) return res.status(400).json({ message: error });
+        }
+        const updates = { updatedAt: Date.now() };
+        if (name !== undefined) updates.name = name;
+        if (description !== undefined) updates.description = description;
+        if (config !== undefined) updates.config = config;
+
+        const profile = await GenerationProfile.findByIdAndUpdate(req.params.profileId, updates, { new: true, runValidators: true });
+        if (!profile) return res.status(404).json({ message: 'Generation profile not found.' });
+        res.json(profile);
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) return res.status(400).json({ message: 'A generation profile with that name already exists.' });
+        res.status(500).json({ message: 'Server error while updating generation profile.' });
+    }
+});
+
+app.delete('/api/rosters/profiles/:profileId', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
+    try {
+        const profile = await GenerationProfile.findByIdAndDelete(req.params.profileId);
+        if (!profile) return res.status(404).json({ message: 'Generation profile not found.' });
+        res.json({ message: 'Generation profile deleted successfully.' });
     } catch (error) {
         console.error(error);
-        res.status(500).json({ message: 'Server error while creating roster.' });
+        res.status(500).json({ message: 'Server error while deleting generation profile.' });
     }
 });
 
-app.post('/api/rosters/generate', authMiddleware, isRouteManager, async (req, res) => {
+app.post('/api/rosters/generate', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
     try {
-        const result = await generateRostersFromGoogleSheet();
+        const { dryRun, ...options } = req.body || {};
+        const { config, error, status } = await resolveGenerationConfig(options);
+        if (error) return res.status(status || 400).json({ message: error });
+
+        const { rosters, legsFound } = await previewRosterGeneration(config);
+
+        if (dryRun === true || dryRun === 'true') {
+            const diff = await diffGeneratedRosters(rosters);
+            const preview = new RosterPreview({ config, rosters, legsFound, createdBy: req.user._id });
+            await preview.save();
+            return res.json({
+                message: `Preview ready. ${rosters.length} rosters proposed from ${legsFound} legs: ${diff.added.length} new, ${diff.unchanged.length} unchanged, ${diff.removed.length} to remove, ${diff.kept.length} retained because they are in use.`,
+                previewId: preview._id,
+                seed: config.seed,
+                config,
+                rosters,
+                diff
+            });
+        }
+
+        if (rosters.length === 0) {
+            return res.status(201).json({ message: `Roster generation complete. Found a total of ${legsFound} legs but no rosters could be built, so the current rosters were left in place.`, seed: config.seed, config });
+        }
+        const diff = await applyGeneratedRosters(rosters);
         res.status(201).json({
-            message: `Roster generation complete. Found a total of ${result.legsFound} legs and created ${result.created} new rosters.`
+            message: `Roster generation complete. Found a total of ${legsFound} legs and created ${diff.added.length} new rosters (${diff.unchanged.length} unchanged, ${diff.removed.length} removed, ${diff.kept.length} retained because they are in use).`,
+            seed: config.seed,
+            config,
+            diff
         });
     } catch (error) {
         console.error(error);
@@ -1273,10 +4779,55 @@ app.post('/api/rosters/generate', authMiddleware, isRouteManager, async (req, re
     }
 });
 
-app.delete('/api/rosters/:rosterId', authMiddleware, isRouteManager, async (req, res) => {
+app.post('/api/rosters/previews/:previewId/commit', authMiddleware, requirePermission('roster.generate'), async (req, res) => {
+    try {
+        const existing = await RosterPreview.findById(req.params.previewId).select('committedAt rosters').lean();
+        if (!existing) return res.status(404).json({ message: 'Roster preview not found or expired.' });
+        if (existing.committedAt) return res.status(400).json({ message: 'This preview has already been committed.' });
+        if (existing.rosters.length === 0) return res.status(400).json({ message: 'This preview contains no rosters to commit.' });
+
+        // Claim the preview before applying it so two commits at once can't both insert its rosters.
+        // Committed previews lose their expiry and are kept as a record of what was applied.
+        const preview = await RosterPreview.findOneAndUpdate(
+            { _id: existing._id, committedAt: null },
+            { $set: { committedAt: Date.now(), committedBy: req.user._id }, $unset: { expiresAt: 1 } },
+            { new: true }
+        );
+        if (!preview) return res.status(400).json({ message: 'This preview has already been committed.' });
+
+        // Diff is recomputed against the live set, so rosters that came into use since the preview are still protected
+        let diff;
+        try {
+            diff = await applyGeneratedRosters(preview.rosters);
+        } catch (error) {
+            await RosterPreview.updateOne(
+                { _id: preview._id },
+                { $set: { committedAt: null, committedBy: null, expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) } }
+            );
+            throw error;
+        }
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'ROSTER_CREATE',
+            details: `Committed roster preview ${preview._id} (seed "${preview.config.seed}"): ${diff.added.length} added, ${diff.removed.length} removed, ${diff.kept.length} retained.`
+        });
+        await log.save();
+
+        res.json({
+            message: `Preview committed. ${diff.added.length} rosters added, ${diff.unchanged.length} unchanged, ${diff.removed.length} removed, ${diff.kept.length} retained because they are in use.`,
+            diff
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while committing roster preview.' });
+    }
+});
+
+app.delete('/api/rosters/:rosterId', authMiddleware, requirePermission('roster.manage'), async (req, res) => {
     try {
         const roster = await Roster.findByIdAndDelete(req.params.rosterId);
         if (!roster) return res.status(404).json({ message: 'Roster not found.' });
+        await RosterReservation.updateMany({ roster: roster._id, status: 'ACTIVE' }, { status: 'CANCELLED', closedAt: Date.now() });
 
         const log = new AdminLog({ adminUser: req.user._id, action: 'ROSTER_DELETE', details: `Deleted roster: "${roster.name}" (ID: ${roster._id})` });
         await log.save();
@@ -1288,31 +4839,109 @@ app.delete('/api/rosters/:rosterId', authMiddleware, isRouteManager, async (req,
     }
 });
 
+app.post('/api/rosters/:rosterId/reserve', authMiddleware, async (req, res) => {
+    try {
+        const user = await User.findById(req.user._id);
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+        if (user.dutyStatus === 'ON_DUTY') return res.status(400).json({ message: 'You cannot reserve a roster while on duty.' });
+
+        const roster = await Roster.findById(req.params.rosterId);
+        if (!roster || !roster.isAvailable) return res.status(404).json({ message: 'Roster not found or no longer available.' });
+
+        const overRankLeg = roster.legs.find(l => !canFlyLeg(user.rank, getLegRequiredRank(l)));
+        if (overRankLeg) {
+            return res.status(403).json({ message: `This roster includes leg ${overRankLeg.flightNumber} requiring ${getLegRequiredRank(overRankLeg)}, which is above your rank (${user.rank}).` });
+        }
+        if (roster.isExclusive && roster.inUseBy) {
+            return res.status(409).json({ message: 'This roster is currently being flown by another pilot.' });
+        }
+
+        await expireStaleReservations();
+        const reservation = new RosterReservation({
+            roster: roster._id,
+            pilot: user._id,
+            expiresAt: new Date(Date.now() + ROSTER_RESERVATION_WINDOW)
+        });
+        await reservation.save();
+
+        res.status(201).json({
+            message: `Roster "${roster.name}" reserved. Go on duty before ${reservation.expiresAt.toISOString()} or the reservation will expire.`,
+            reservation
+        });
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) {
+            const message = error.keyPattern?.pilot
+                ? 'You already have an active roster reservation. Cancel it before reserving another.'
+                : 'This roster has already been reserved by another pilot.';
+            return res.status(409).json({ message });
+        }
+        res.status(500).json({ message: 'Server error while reserving roster.' });
+    }
+});
+
+app.get('/api/me/reservations', authMiddleware, async (req, res) => {
+    try {
+        await expireStaleReservations();
+        const reservations = await RosterReservation.find({ pilot: req.user._id })
+            .populate('roster', 'name hub legs totalFlightTime multiplier')
+            .sort({ reservedAt: -1 })
+            .limit(20)
+            .lean();
+        res.json(reservations);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching your reservations.' });
+    }
+});
+
+app.delete('/api/me/reservations/:reservationId', authMiddleware, async (req, res) => {
+    try {
+        const reservation = await RosterReservation.findOneAndUpdate(
+            { _id: req.params.reservationId, pilot: req.user._id, status: 'ACTIVE' },
+            { status: 'CANCELLED', closedAt: Date.now() },
+            { new: true }
+        );
+        if (!reservation) return res.status(404).json({ message: 'No active reservation found.' });
+        res.json({ message: 'Reservation cancelled.' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while cancelling reservation.' });
+    }
+});
+
 app.post('/api/duty/start', authMiddleware, async (req, res) => {
     const { rosterId } = req.body;
+    let claimedRosterId = null; // Released again if starting the duty fails part-way
+    let dutyStarted = false;
     try {
         const user = await User.findById(req.user._id);
         const roster = await Roster.findById(rosterId);
 
         if (!roster) return res.status(404).json({ message: 'Selected roster not found.' });
         if (user.dutyStatus === 'ON_DUTY') return res.status(400).json({ message: 'You are already on duty.' });
+        if (!roster.isAvailable) return res.status(400).json({ message: 'This roster is no longer available.' });
+
+        await expireStaleReservations();
+        const reservation = await RosterReservation.findOne({ roster: roster._id, status: 'ACTIVE' });
+        if (reservation && String(reservation.pilot) !== String(user._id)) {
+            return res.status(409).json({ message: 'This roster is currently reserved by another pilot.' });
+        }
 
         if (user.lastDutyOff && (Date.now() - user.lastDutyOff) < MIN_REST_PERIOD) {
             const timeToRest = Math.ceil((MIN_REST_PERIOD - (Date.now() - user.lastDutyOff)) / (60 * 1000));
             return res.status(403).json({ message: `Crew rest required. You can go on duty in ${timeToRest} minutes.` });
         }
         
-        const oneMonthAgo = new Date();
-        oneMonthAgo.setMonth(oneMonthAgo.getMonth() - 1);
-        if (user.lastHourReset < oneMonthAgo) {
-            user.monthlyFlightHours = 0;
-            user.lastHourReset = Date.now();
-        }
-        if ((user.monthlyFlightHours + roster.totalFlightTime) > MAX_MONTHLY_FLIGHT_HOURS) {
-            return res.status(403).json({ message: `This duty would exceed your ${MAX_MONTHLY_FLIGHT_HOURS}-hour monthly limit.` });
+        if (roster.totalFlightTime > MAX_DUTY_PERIOD / HOUR_MS) {
+            return res.status(403).json({ message: `This roster cannot be flown within the ${MAX_DUTY_PERIOD / HOUR_MS}-hour maximum duty period.` });
         }
-        if ((user.dailyFlightHours + roster.totalFlightTime) > MAX_DAILY_FLIGHT_HOURS) {
-            return res.status(403).json({ message: `This duty would exceed your ${MAX_DAILY_FLIGHT_HOURS}-hour daily flight limit.` });
+        const ftpl = await computeFtplStatus(user);
+        const exceeded = ftpl.limits.find(l => l.usedHours + roster.totalFlightTime > l.maxHours);
+        if (exceeded) {
+            const availableAt = exceeded.availableAtFor(roster.totalFlightTime);
+            const when = availableAt ? ` You can take this duty from ${availableAt.toISOString()}.` : '';
+            return res.status(403).json({ message: `This duty would exceed your ${exceeded.maxHours}-hour ${exceeded.label} flight limit (${exceeded.usedHours.toFixed(1)} hours used).${when}` });
         }
 
         
@@ -1323,14 +4952,46 @@ app.post('/api/duty/start', authMiddleware, async (req, res) => {
                 message: `This roster includes leg ${overRankLeg.flightNumber} (${overRankLeg.aircraft}) requiring ${getLegRequiredRank(overRankLeg)}, which is above your rank (${user.rank}).`
             });
         }
-user.dutyStatus = 'ON_DUTY';
+        // Claim exclusive rosters atomically so two pilots can't start on one at the same moment
+        if (roster.isExclusive) {
+            const claimed = await Roster.findOneAndUpdate(
+                { _id: roster._id, inUseBy: { $in: [null, user._id] } },
+                { inUseBy: user._id }
+            );
+            if (!claimed) return res.status(409).json({ message: 'This roster is currently being flown by another pilot.' });
+            claimedRosterId = roster._id;
+        }
+
+        user.dutyStatus = 'ON_DUTY';
         user.currentRoster = roster._id;
         user.lastDutyStart = Date.now();
         await user.save();
+        dutyStarted = true;
+
+        const dutyLog = new DutyLog({
+            pilot: user._id,
+            roster: roster._id,
+            rosterName: roster.name,
+            startedAt: user.lastDutyStart,
+            legsPlanned: roster.legs.length
+        });
+        await dutyLog.save();
+
+        if (reservation) {
+            reservation.status = 'CONSUMED';
+            reservation.closedAt = Date.now();
+            await reservation.save();
+        }
         
         res.json({ message: `You are now on duty for roster "${roster.name}".`, roster });
     } catch (error) {
         console.error(error);
+        try {
+            if (dutyStarted) await User.updateOne({ _id: req.user._id }, { dutyStatus: 'ON_REST', currentRoster: null });
+            if (claimedRosterId) await Roster.updateOne({ _id: claimedRosterId, inUseBy: req.user._id }, { inUseBy: null });
+        } catch (rollbackError) {
+            console.error('Failed to roll back duty start:', rollbackError);
+        }
         res.status(500).json({ message: 'Server error while starting duty.' });
     }
 });
@@ -1345,34 +5006,116 @@ app.post('/api/duty/end', authMiddleware, async (req, res) => {
         const filedPireps = await Pirep.countDocuments({
             pilot: user._id,
             'rosterLeg.rosterId': roster._id,
-            status: { $in: ['APPROVED', 'PENDING'] }
+            status: { $in: countedPirepStatuses }
         });
 
-        if (filedPireps < roster.legs.length) {
+        // Once the maximum duty period has passed the pilot must be able to go off duty, even with legs unflown
+        const dutyExpired = user.lastDutyStart && (Date.now() - user.lastDutyStart) > MAX_DUTY_PERIOD;
+        if (filedPireps < roster.legs.length && !dutyExpired) {
             return res.status(400).json({ message: `You must file PIREPs for all roster legs. ${filedPireps}/${roster.legs.length} complete.` });
         }
-        
-        const finalLeg = roster.legs[roster.legs.length - 1];
-        if (finalLeg) {
-            user.lastDutyAirport = finalLeg.arrival;
-        }
 
-        user.dutyStatus = 'ON_REST';
-        user.currentRoster = null;
-        user.lastDutyOff = Date.now();
-        user.lastDutyStart = null;
-        user.dailyFlightHours = 0;
-        await user.save();
-        
-        res.json({ message: 'Duty day completed successfully! You are now on crew rest.' });
+        const { dutyLog, badgesAwarded } = await closeDuty(user);
+
+        let message = 'Duty day completed successfully! You are now on crew rest.';
+        if (badgesAwarded.length > 0) message += ` New badge${badgesAwarded.length > 1 ? 's' : ''}: ${badgesAwarded.map(b => b.name).join(', ')}.`;
+        res.json({ message, dutyLog, badgesAwarded });
     } catch (error) {
         console.error(error);
         res.status(500).json({ message: 'Server error while ending duty.' });
     }
 });
 
+// --- Duty History Routes ---
+app.get('/api/me/duties', authMiddleware, async (req, res) => {
+    try {
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const filter = { pilot: req.user._id };
+        const [duties, total] = await Promise.all([
+            DutyLog.find(filter).sort({ startedAt: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            DutyLog.countDocuments(filter)
+        ]);
+        res.json({ duties, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching your duty history.' });
+    }
+});
+
+app.get('/api/duties', authMiddleware, requirePermission('duty.review'), async (req, res) => {
+    try {
+        const { pilot, status, flagged } = req.query;
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+        const filter = {};
+        if (pilot) {
+            if (!mongoose.isValidObjectId(pilot)) return res.status(400).json({ message: 'Invalid pilot ID.' });
+            filter.pilot = pilot;
+        }
+        if (status) filter.status = String(status).toUpperCase();
+        if (flagged === 'true') filter.flaggedForReview = true;
+
+        const [duties, total] = await Promise.all([
+            DutyLog.find(filter)
+                .populate('pilot', 'name callsign')
+                .populate('resolvedBy', 'name callsign')
+                .sort({ startedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            DutyLog.countDocuments(filter)
+        ]);
+        res.json({ duties, total, page, pages: Math.ceil(total / limit) });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching duty history.' });
+    }
+});
+
+app.get('/api/duties/:dutyId', authMiddleware, async (req, res) => {
+    try {
+        const dutyLog = await DutyLog.findById(req.params.dutyId)
+            .populate('pilot', 'name callsign')
+            .populate('pireps', 'flightNumber departure arrival aircraft flightTime status createdAt')
+            .populate('resolvedBy', 'name callsign')
+            .lean();
+        if (!dutyLog) return res.status(404).json({ message: 'Duty record not found.' });
+
+        const isOwner = String(dutyLog.pilot?._id) === String(req.user._id);
+        if (!isOwner && !(await roleHasPermission(req.user.role, 'duty.review'))) {
+            return res.status(403).json({ message: 'Access denied. You do not have the required permissions.' });
+        }
+        res.json(dutyLog);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching duty record.' });
+    }
+});
+
+app.put('/api/duties/:dutyId/resolve', authMiddleware, requirePermission('duty.review'), async (req, res) => {
+    try {
+        const { note } = req.body;
+        const dutyLog = await DutyLog.findById(req.params.dutyId);
+        if (!dutyLog) return res.status(404).json({ message: 'Duty record not found.' });
+        if (!dutyLog.flaggedForReview) return res.status(400).json({ message: 'This duty is not flagged for review.' });
+
+        dutyLog.flaggedForReview = false;
+        dutyLog.resolvedBy = req.user._id;
+        dutyLog.resolvedAt = Date.now();
+        dutyLog.resolutionNote = note || null;
+        await dutyLog.save();
+
+        res.json({ message: 'Duty flag resolved.', dutyLog });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while resolving duty flag.' });
+    }
+});
+
 // --- Admin-Only Routes ---
-app.post('/api/users', authMiddleware, isAdmin, async (req, res) => {
+app.post('/api/users', authMiddleware, requirePermission('user.manage'), async (req, res) => {
     try {
         const { email, password, role, callsign, name } = req.body;
         if (!email || !password) return res.status(400).json({ message: 'Email and password are required.' });
@@ -1382,6 +5125,7 @@ app.post('/api/users', authMiddleware, isAdmin, async (req, res) => {
         if (normalizedCallsign && !isValidCallsign(normalizedCallsign)) {
             return res.status(400).json({ message: 'Invalid callsign format.' });
         }
+        if (touchesAdmin(req, role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
 
         const salt = await bcrypt.genSalt(10);
         const user = new User({
@@ -1410,7 +5154,7 @@ app.post('/api/users', authMiddleware, isAdmin, async (req, res) => {
     }
 });
 
-app.get('/api/users', authMiddleware, isAdmin, async (req, res) => {
+app.get('/api/users', authMiddleware, requirePermission('user.manage'), async (req, res) => {
     try {
         const users = await User.find()
             .select('name email callsign rank flightHours role createdAt')
@@ -1422,15 +5166,19 @@ app.get('/api/users', authMiddleware, isAdmin, async (req, res) => {
     }
 });
 
-app.put('/api/users/:userId/role', authMiddleware, isAdmin, async (req, res) => {
+app.put('/api/users/:userId/role', authMiddleware, requirePermission('user.role.assign'), async (req, res) => {
     try {
         const { userId } = req.params;
         const { newRole } = req.body;
         if (!User.schema.path('role').enumValues.includes(newRole)) {
             return res.status(400).json({ message: 'Invalid role specified.' });
         }
+        if (String(req.user._id) === String(userId)) {
+            return res.status(400).json({ message: 'You cannot change your own role.' });
+        }
         const targetUser = await User.findById(userId);
         if (!targetUser) return res.status(404).json({ message: 'User not found.' });
+        if (touchesAdmin(req, newRole, targetUser.role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
         const oldRole = targetUser.role;
         targetUser.role = newRole;
         await targetUser.save();
@@ -1447,7 +5195,7 @@ app.put('/api/users/:userId/role', authMiddleware, isAdmin, async (req, res) =>
     }
 });
 
-app.put('/api/users/:userId/callsign', authMiddleware, isAdmin, async (req, res) => {
+app.put('/api/users/:userId/callsign', authMiddleware, requirePermission('user.manage'), async (req, res) => {
     try {
         const { userId } = req.params;
         let { callsign } = req.body;
@@ -1459,6 +5207,7 @@ app.put('/api/users/:userId/callsign', authMiddleware, isAdmin, async (req, res)
         
         const user = await User.findById(userId);
         if (!user) return res.status(404).json({ message: 'User not found.' });
+        if (touchesAdmin(req, user.role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
         
         user.callsign = callsign;
         await user.save();
@@ -1474,7 +5223,54 @@ app.put('/api/users/:userId/callsign', authMiddleware, isAdmin, async (req, res)
     }
 });
 
-app.delete('/api/users/:userId', authMiddleware, isAdmin, async (req, res) => {
+app.post('/api/users/:userId/password-reset', authMiddleware, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+        if (touchesAdmin(req, user.role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
+
+        // Lock out the current password so the user must complete the reset
+        const salt = await bcrypt.genSalt(10);
+        const lockedPassword = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), salt);
+        const issued = await issuePasswordReset(user, FORCED_PASSWORD_RESET_TTL, { password: lockedPassword });
+        if (!issued) return res.status(404).json({ message: 'User not found.' });
+        await revokeUserSessions(user._id);
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'PASSWORD_RESET_FORCE', targetUser: user._id,
+            details: `Forced a password reset for ${user.email}.`
+        });
+        await log.save();
+
+        res.json({ message: `A password reset link has been sent to ${user.email}.` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while forcing password reset.' });
+    }
+});
+
+app.post('/api/users/:userId/revoke-sessions', authMiddleware, requirePermission('user.manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId);
+        if (!user) return res.status(404).json({ message: 'User not found.' });
+        if (touchesAdmin(req, user.role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
+
+        const count = await revokeUserSessions(user._id);
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'SESSIONS_REVOKE', targetUser: user._id,
+            details: `Revoked ${count} active session(s) for ${user.email}.`
+        });
+        await log.save();
+
+        res.json({ message: `Revoked ${count} active session(s) for ${user.email}.` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while revoking sessions.' });
+    }
+});
+
+app.delete('/api/users/:userId', authMiddleware, requirePermission('user.manage'), async (req, res) => {
     const { userId } = req.params;
     try {
         if (String(req.user._id) === String(userId)) {
@@ -1483,6 +5279,7 @@ app.delete('/api/users/:userId', authMiddleware, isAdmin, async (req, res) => {
 
         const userToDelete = await User.findById(userId);
         if (!userToDelete) return res.status(404).json({ message: 'User not found.' });
+        if (touchesAdmin(req, userToDelete.role)) return res.status(403).json({ message: ADMIN_ONLY_MESSAGE });
 
         if (userToDelete.callsign) {
             deleteRowFromGoogleSheet(userToDelete.callsign);
@@ -1504,7 +5301,7 @@ app.delete('/api/users/:userId', authMiddleware, isAdmin, async (req, res) => {
     }
 });
 
-app.get('/api/logs', authMiddleware, isAdmin, async (req, res) => {
+app.get('/api/logs', authMiddleware, requirePermission('log.view'), async (req, res) => {
     try {
         const logs = await AdminLog.find()
             .populate('adminUser', 'name email')
@@ -1518,7 +5315,285 @@ app.get('/api/logs', authMiddleware, isAdmin, async (req, res) => {
     }
 });
 
+// --- Permission Administration Routes ---
+app.get('/api/permissions', authMiddleware, requirePermission('permission.manage'), async (req, res) => {
+    try {
+        const grants = await RolePermission.find()
+            .populate('updatedBy', 'name email')
+            .sort({ role: 1 })
+            .lean();
+        res.json({ catalog: permissionCatalog, roles: grants });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching permissions.' });
+    }
+});
+
+app.put('/api/roles/:role/permissions', authMiddleware, requirePermission('permission.manage'), async (req, res) => {
+    try {
+        const { role } = req.params;
+        const { permissions } = req.body;
+        if (role === 'admin') return res.status(400).json({ message: 'The admin role always holds every permission and cannot be edited.' });
+        if (!User.schema.path('role').enumValues.includes(role)) return res.status(400).json({ message: 'Invalid role specified.' });
+        if (!Array.isArray(permissions)) return res.status(400).json({ message: 'Permissions must be an array of permission names.' });
+
+        const unknown = permissions.filter(p => !permissionCatalog[p]);
+        if (unknown.length > 0) return res.status(400).json({ message: `Unknown permission(s): ${unknown.join(', ')}.` });
+
+        const existing = await RolePermission.findOne({ role }).lean();
+        const before = new Set(existing?.permissions || []);
+        const after = new Set(permissions);
+        const granted = [...after].filter(p => !before.has(p));
+        const revoked = [...before].filter(p => !after.has(p));
+
+        const updated = await RolePermission.findOneAndUpdate(
+            { role },
+            { permissions: [...after], updatedBy: req.user._id, updatedAt: Date.now() },
+            { new: true, upsert: true }
+        );
+        await loadRolePermissions();
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'PERMISSION_UPDATE',
+            details: `Updated permissions for '${role}'. Granted: [${granted.join(', ')}]. Revoked: [${revoked.join(', ')}].`
+        });
+        await log.save();
+
+        res.json({ message: `Permissions for ${role} updated successfully.`, role: updated });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while updating permissions.' });
+    }
+});
+
+// --- Achievement & Badge Routes ---
+// Validates the editable fields of an achievement; returns { update } or { error }
+const parseAchievementInput = (body, { partial = false } = {}) => {
+    const update = {};
+    for (const field of ['name', 'description']) {
+        if (body[field] === undefined) {
+            if (!partial) return { error: `The achievement ${field} is required.` };
+            continue;
+        }
+        if (!String(body[field]).trim()) return { error: `The achievement ${field} cannot be empty.` };
+        update[field] = String(body[field]).trim();
+    }
+    if (body.iconUrl !== undefined) update.iconUrl = body.iconUrl ? String(body.iconUrl).trim() : null;
+    if (body.isActive !== undefined) update.isActive = Boolean(body.isActive);
+    if (body.criteria !== undefined || !partial) {
+        const { kind, threshold } = body.criteria || {};
+        if (!achievementCriteria[kind]) return { error: `Criteria kind must be one of: ${Object.keys(achievementCriteria).join(', ')}.` };
+        if (criteriaWithoutThreshold.includes(kind)) {
+            update.criteria = { kind, threshold: null };
+        } else {
+            const value = parseFloat(threshold);
+            if (!Number.isFinite(value) || value <= 0) return { error: `A positive threshold is required for ${kind}.` };
+            update.criteria = { kind, threshold: value };
+        }
+    }
+    return { update };
+};
+
+app.get('/api/achievements', async (req, res) => {
+    try {
+        const achievements = await Achievement.find({ isActive: true }).select('-createdBy').sort({ createdAt: 1 }).lean();
+        res.json({ achievements, criteriaKinds: achievementCriteriaKinds });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching achievements.' });
+    }
+});
+
+app.post('/api/achievements', authMiddleware, requirePermission('achievement.manage'), async (req, res) => {
+    try {
+        const key = String(req.body.key || '').trim().toLowerCase();
+        if (!/^[a-z0-9-]{2,40}$/.test(key)) return res.status(400).json({ message: 'The key must be 2-40 lowercase letters, digits or dashes.' });
+        const { update, error } = parseAchievementInput(req.body);
+        if (error) return res.status(400).json({ message: error });
+
+        const achievement = await Achievement.create({ ...update, key, createdBy: req.user._id });
+        const log = new AdminLog({ adminUser: req.user._id, action: 'ACHIEVEMENT_UPDATE', details: `Created achievement '${achievement.name}' (${key}).` });
+        await log.save();
+        res.status(201).json({ message: 'Achievement created.', achievement });
+    } catch (error) {
+        console.error(error);
+        if (error?.code === 11000) return res.status(409).json({ message: 'An achievement with that key already exists.' });
+        res.status(500).json({ message: 'Server error while creating achievement.' });
+    }
+});
+
+app.put('/api/achievements/:achievementId', authMiddleware, requirePermission('achievement.manage'), async (req, res) => {
+    try {
+        const { update, error } = parseAchievementInput(req.body, { partial: true });
+        if (error) return res.status(400).json({ message: error });
+        if (Object.keys(update).length === 0) return res.status(400).json({ message: 'Nothing to update.' });
+
+        const achievement = await Achievement.findByIdAndUpdate(req.params.achievementId, { $set: update }, { new: true, runValidators: true });
+        if (!achievement) return res.status(404).json({ message: 'Achievement not found.' });
+        const log = new AdminLog({ adminUser: req.user._id, action: 'ACHIEVEMENT_UPDATE', details: `Updated achievement '${achievement.name}' (${achievement.key}): ${Object.keys(update).join(', ')}.` });
+        await log.save();
+        res.json({ message: 'Achievement updated.', achievement });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while updating achievement.' });
+    }
+});
+
+// Deleting an achievement also takes its badge away from everyone who earned it
+app.delete('/api/achievements/:achievementId', authMiddleware, requirePermission('achievement.manage'), async (req, res) => {
+    try {
+        const achievement = await Achievement.findByIdAndDelete(req.params.achievementId);
+        if (!achievement) return res.status(404).json({ message: 'Achievement not found.' });
+        const { modifiedCount } = await User.updateMany(
+            { 'badges.achievement': achievement._id },
+            { $pull: { badges: { achievement: achievement._id } } }
+        );
+        const log = new AdminLog({ adminUser: req.user._id, action: 'ACHIEVEMENT_UPDATE', details: `Deleted achievement '${achievement.name}' (${achievement.key}), removing it from ${modifiedCount} pilot(s).` });
+        await log.save();
+        res.json({ message: `Achievement deleted and removed from ${modifiedCount} pilot(s).` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while deleting achievement.' });
+    }
+});
+
+app.post('/api/users/:userId/badges', authMiddleware, requirePermission('achievement.manage'), async (req, res) => {
+    try {
+        const { achievementId, note } = req.body;
+        if (!mongoose.isValidObjectId(achievementId)) return res.status(400).json({ message: 'A valid achievementId is required.' });
+        const [achievement, pilot] = await Promise.all([
+            Achievement.findById(achievementId).lean(),
+            User.findById(req.params.userId).select('name email').lean()
+        ]);
+        if (!achievement) return res.status(404).json({ message: 'Achievement not found.' });
+        if (!pilot) return res.status(404).json({ message: 'User not found.' });
+
+        const result = await User.updateOne(
+            { _id: pilot._id, 'badges.achievement': { $ne: achievement._id } },
+            { $push: { badges: { achievement: achievement._id, awardedAt: new Date(), awardedBy: req.user._id, note: note || null } } }
+        );
+        if (result.modifiedCount === 0) return res.status(409).json({ message: `${pilot.name} already has the '${achievement.name}' badge.` });
+
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'BADGE_AWARD', targetUser: pilot._id,
+            details: `Awarded '${achievement.name}' to ${pilot.email}.${note ? ` Note: ${note}` : ''}`
+        });
+        await log.save();
+        res.status(201).json({ message: `Awarded '${achievement.name}' to ${pilot.name}.` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while awarding badge.' });
+    }
+});
+
+app.delete('/api/users/:userId/badges/:achievementId', authMiddleware, requirePermission('achievement.manage'), async (req, res) => {
+    try {
+        const { userId, achievementId } = req.params;
+        if (!mongoose.isValidObjectId(achievementId)) return res.status(404).json({ message: 'Badge not found.' });
+        const pilot = await User.findOneAndUpdate(
+            { _id: userId, 'badges.achievement': achievementId },
+            { $pull: { badges: { achievement: achievementId } } },
+            { new: true }
+        ).select('name email');
+        if (!pilot) return res.status(404).json({ message: 'This pilot does not have that badge.' });
+
+        const achievement = await Achievement.findById(achievementId).select('name').lean();
+        const log = new AdminLog({
+            adminUser: req.user._id, action: 'BADGE_REMOVE', targetUser: pilot._id,
+            details: `Removed '${achievement?.name || achievementId}' from ${pilot.email}.${req.body?.reason ? ` Reason: ${req.body.reason}` : ''}`
+        });
+        await log.save();
+        res.json({ message: `Badge removed from ${pilot.name}.` });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while removing badge.' });
+    }
+});
+
+// --- Statistics Routes ---
+// Public, so the website can show leaderboards without signing in. All take ?period=all|month|custom
+// (with from/to for custom) and ?page/limit.
+const sendStat = async (req, res, key, query, options = {}) => {
+    const range = resolveStatsPeriod(req.query);
+    if (range.error) return res.status(400).json({ message: range.error });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+
+    const cacheKey = [key, range.period, range.from?.toISOString(), range.to?.toISOString()].join('|');
+    const { rows, computedAt } = await cachedStat(cacheKey, () => query(range, options));
+    const filtered = options.filter ? rows.filter(options.filter) : rows;
+    res.json({
+        period: { name: range.period, from: range.from, to: range.to },
+        results: filtered.slice((page - 1) * limit, page * limit),
+        total: filtered.length,
+        page,
+        pages: Math.ceil(filtered.length / limit),
+        cachedAt: new Date(computedAt)
+    });
+};
+
+// ?metric=hours (default) or flights
+app.get('/api/stats/leaderboard', async (req, res) => {
+    try {
+        const metric = req.query.metric || 'hours';
+        if (!['hours', 'flights'].includes(metric)) return res.status(400).json({ message: 'Metric must be either "hours" or "flights".' });
+        await sendStat(req, res, `pilots:${metric}`, statsQueries.pilots, { metric });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while building the leaderboard.' });
+    }
+});
+
+app.get('/api/stats/routes', async (req, res) => {
+    try {
+        await sendStat(req, res, 'routes', statsQueries.routes);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching route statistics.' });
+    }
+});
+
+app.get('/api/stats/aircraft', async (req, res) => {
+    try {
+        await sendStat(req, res, 'aircraft', statsQueries.aircraft);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching aircraft statistics.' });
+    }
+});
+
+app.get('/api/stats/airports', async (req, res) => {
+    try {
+        await sendStat(req, res, 'airports', statsQueries.airports);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching airport statistics.' });
+    }
+});
+
+// ?codeshare=true limits the list to codeshare partners, ?codeshare=false to our own operators
+app.get('/api/stats/operators', async (req, res) => {
+    try {
+        const { codeshare } = req.query;
+        const filter = codeshare === undefined ? null : (row => row.isCodeshare === (codeshare === 'true'));
+        await sendStat(req, res, 'operators', statsQueries.operators, { filter });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server error while fetching operator statistics.' });
+    }
+});
+
 // 8. START THE SERVER
 app.listen(PORT, () => {
     console.log(`Server is running on http://localhost:${PORT}`);
+
+    // Background sweeps: release rosters whose reservation window has lapsed and close overdue duties
+    setInterval(() => {
+        expireStaleReservations()
+            .then(count => { if (count > 0) console.log(`Expired ${count} roster reservation(s).`); })
+            .catch(err => console.error('Error expiring roster reservations:', err));
+        timeOutExpiredDuties()
+            .then(count => { if (count > 0) console.log(`Timed out ${count} overdue duty period(s).`); })
+            .catch(err => console.error('Error timing out overdue duties:', err));
+    }, 60 * 1000);
 });
\ No newline at end of file